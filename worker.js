@@ -18,7 +18,126 @@ const CONFIG = {
   CACHE_TTL_IMAGE: 7 * 24 * 60 * 60 * 1000, // 图像缓存 7 天
   CACHE_TTL_NEWS: 2 * 60 * 60 * 1000,       // 新闻缓存 2 小时
   CACHE_TTL_WEATHER: 30 * 60 * 1000,        // 天气缓存 30 分钟
+  // 渲染后的页面 HTML 边缘缓存（Cache API，只作用于当前数据中心）
+  PAGE_CACHE_TTL: 5 * 60,                   // 秒；其他数据中心最多延迟这么久看到更新
+  PAGE_CACHE_ORIGIN: 'https://page-cache.myedge.internal', // 缓存键前缀，不对外访问
   DEFAULT_CITY: 'Los Angeles',
+  // 文本模型注册表：contextWindow / maxTokens 为 token 数，languages 为可稳定输出的语言
+  // 部署默认模型可通过环境变量 TEXT_MODEL 覆盖，所有者还可在页面设置中按字段选择
+  DEFAULT_TEXT_MODEL: '@cf/meta/llama-3-8b-instruct',
+  TEXT_MODELS: {
+    '@cf/meta/llama-3-8b-instruct': { name: 'Llama 3 8B', contextWindow: 7968, maxTokens: 1024, languages: ['zh', 'en'], jsonMode: true },
+    '@cf/meta/llama-3.1-8b-instruct': { name: 'Llama 3.1 8B', contextWindow: 7968, maxTokens: 1024, languages: ['zh', 'en', 'de', 'fr', 'es', 'it', 'pt'], jsonMode: true },
+    '@cf/qwen/qwen1.5-14b-chat-awq': { name: 'Qwen 1.5 14B', contextWindow: 7500, maxTokens: 1024, languages: ['zh', 'en', 'ja'], jsonMode: false },
+    '@cf/mistral/mistral-7b-instruct-v0.1': { name: 'Mistral 7B', contextWindow: 2824, maxTokens: 512, languages: ['en', 'fr'], jsonMode: true }
+  },
+  // 结构化输出（简介、语录）：jsonMode 的模型使用 response_format，其他模型只靠提示词要求输出 JSON
+  AI_OUTPUT_MAX_ATTEMPTS: 3,                // 校验不通过时带上问题重新生成，最多尝试次数
+  AI_LENGTH_TOLERANCE: 0.3,                 // 长度允许偏离要求范围的比例
+  AI_LANGUAGE_MIN_RATIO: 0.6,               // 目标语言文字占全部字母的最低比例
+  QUOTE_LENGTH: { chars: [20, 60], words: [8, 30] },
+  PROJECT_DESCRIPTION_CONCURRENCY: 3,       // 每种语言同时生成项目描述的请求数
+  README_DIGEST_MAX_LENGTH: 800,            // 写入提示词的 README 摘要最大字符数
+  README_MAX_BYTES: 200000,                 // 超过此大小的 README 只截取开头部分
+  AI_FORBIDDEN_PHRASES: ['以下是', '昵称', '用户名', '作为一个AI', '作为 AI', 'As an AI', 'Here is', "Here's", 'nickname', 'username'],
+  AI_HISTORY_LIMIT: 10,                     // 每个 AI 字段保留的历史版本数
+  AI_TEXT_MAX_LENGTH: { bio: 600, quote: 200, author: 40, project: 300 }, // 手动编辑 AI 文案的长度上限
+  // 登录会话（GitHub OAuth）
+  SESSION_COOKIE: 'myedge_session',
+  SESSION_TTL: 7 * 24 * 60 * 60 * 1000,     // 会话有效期 7 天
+  OAUTH_STATE_COOKIE: 'myedge_oauth_state',
+  OAUTH_STATE_TTL: 10 * 60,                 // OAuth state 有效期 10 分钟（秒）
+  // 个人 API Token
+  API_TOKEN_PREFIX: 'mye',
+  API_TOKEN_SCOPES: ['read', 'write'],
+  API_TOKEN_MAX_EXPIRY_DAYS: 365,
+  // AI 内容可选语言，settings.languages 的第一项为页面主语言
+  // unit 为长度计量方式（字数 / 单词数），script 用于校验 AI 输出的语言
+  CONTENT_LANGUAGES: {
+    zh: { name: '中文', htmlLang: 'zh-CN', ogLocale: 'zh_CN', unit: 'chars', script: /\p{Script=Han}/u },
+    en: { name: 'English', htmlLang: 'en', ogLocale: 'en_US', unit: 'words', script: /\p{Script=Latin}/u },
+    ja: { name: '日本語', htmlLang: 'ja', ogLocale: 'ja_JP', unit: 'chars', script: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u }
+  },
+  // 所有者可修改的页面设置默认值
+  DEFAULT_SETTINGS: {
+    listedInDirectory: false,               // 是否出现在 /explore 公开目录（需主动开启）
+    refreshCadence: 'weekly',               // AI 文案自动重新生成周期，见 REFRESH_CADENCES
+    models: { bio: null, projectDescriptions: null, quote: null }, // 各字段使用的文本模型，null 表示部署默认
+    languages: ['zh'],                      // 生成 AI 内容的语言
+    bioStyle: { tone: 'professional', length: 'medium', person: 'first', emphasis: 'projects' }, // 简介风格，见 BIO_STYLES
+    timezone: 'Asia/Shanghai',              // 所有者时区，每日语录在该时区的零点更换
+    bannedQuoteStyles: []                   // 每日语录不再使用的风格，见 QUOTE_STYLES
+  },
+  // 每日语录风格，按最久未用的顺序轮换所有者未禁用的风格
+  QUOTE_STYLES: {
+    aphorism: { label: '原创格言', prompt: '写一句原创格言，简洁有力' },
+    classic: { label: '化用经典', prompt: '化用一句经典名言、诗词或典故，让它和技术产生联系，author 写明出处' },
+    poetic: { label: '诗意', prompt: '用诗意的意象和比喻来表达' },
+    humor: { label: '幽默', prompt: '用轻松幽默的方式表达，可以带一点程序员式的自嘲' },
+    philosophy: { label: '哲思', prompt: '从哲学角度思考技术与人，语气沉静克制' }
+  },
+  QUOTE_HISTORY_LIMIT: 365,                 // 保留的每日语录条数（收藏的不计入）
+  QUOTE_HISTORY_PAGE_SIZE: 20,
+  QUOTE_PROMPT_HISTORY: 10,                 // 写入提示词、要求模型避开的最近语录条数
+  QUOTE_SIMILARITY_MAX: 0.6,                // 与历史语录的相似度（字符二元组 Dice 系数）上限
+  DIGEST_LENGTH: { chars: [40, 150], words: [25, 90] }, // 每周动态总结的长度
+  DIGEST_PAGE_SIZE: 10,
+  DIGEST_HIGHLIGHTS_PER_REPO: 5,            // 每个仓库写入提示词的提交 / PR / Issue / Release 条数
+  GITHUB_EVENTS_MAX_PAGES: 3,               // GitHub 公开事件最多拉取页数（每页 100 条，GitHub 上限 300 条）
+  // 简介 / 语录风格预设，prompt 写入 AI 提示词
+  BIO_STYLES: {
+    tone: {
+      professional: { label: '专业', prompt: '语气专业、稳重，适合求职和商务场合', quote: '风格务实、有分量' },
+      casual: { label: '随和', prompt: '语气轻松自然，像在和同行聊天', quote: '风格亲切、接地气' },
+      playful: { label: '活泼', prompt: '语气活泼有趣，可以带一点幽默和 emoji', quote: '风格俏皮幽默' },
+      academic: { label: '学术', prompt: '语气严谨、学术化，突出研究方向和方法', quote: '风格严谨、富有哲理' }
+    },
+    length: {
+      short: { label: '简短', chars: [40, 60], words: [25, 40], maxTokens: 200 },
+      medium: { label: '适中', chars: [80, 120], words: [60, 90], maxTokens: 350 },
+      long: { label: '详细', chars: [150, 200], words: [120, 160], maxTokens: 550 }
+    },
+    person: {
+      first: { label: '第一人称' },
+      third: { label: '第三人称' }
+    },
+    emphasis: {
+      projects: { label: '项目', prompt: '重点介绍代表项目和技术栈' },
+      community: { label: '社区', prompt: '重点介绍开源贡献、粉丝和社区影响力' },
+      employer: { label: '职业', prompt: '重点介绍任职公司、职业经历和专业能力' }
+    }
+  },
+  DIRECTORY_PAGE_SIZE: 24,
+  // 定时刷新（Cron Triggers + DO alarm）
+  SCHEDULE_INTERVAL: 6 * 60 * 60 * 1000,    // GitHub / 新闻 / 天气后台刷新间隔 6 小时
+  REFRESH_CADENCES: {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    never: null
+  },
+  SCHEDULE_BACKOFF_BASE: 10 * 60 * 1000,    // 失败后首次重试 10 分钟，之后指数翻倍
+  SCHEDULE_BACKOFF_MAX: 24 * 60 * 60 * 1000,
+  SCHEDULE_RUN_LIMIT: 20,                   // 保留最近的刷新记录条数
+  SCHEDULE_SWEEP_BATCH: 50,                 // Cron 每批检查的页面数
+  // 审计日志
+  AUDIT_IGNORED_FIELDS: ['timestamps', 'cachedNews', 'cachedWeather', 'nextQuote', 'weeklyDigest'], // 系统缓存刷新、尚未展示的语录、每周动态不记录
+  AUDIT_MAX_VALUE_LENGTH: 1000,             // 超过该长度的字段值只记录摘要
+  AUDIT_PAGE_SIZE: 20,
+  // 自定义链接（slug）
+  SLUG_PATTERN: /^[a-z0-9](?:[a-z0-9-]{1,38}[a-z0-9])$/, // 3-40 位小写字母、数字和连字符
+  RESERVED_SLUGS: [
+    'api', 'auth', 'assets', 'admin', 'explore', 'directory', 'p', 'login', 'logout',
+    'settings', 'account', 'static', 'www', 'help', 'about', 'index', 'new', 'me', 'myedge'
+  ],
+  // 速率限制（window 单位毫秒），可通过环境变量 RATE_LIMITS（JSON）按路由覆盖
+  RATE_LIMITS: {
+    generate: { ip: { limit: 5, window: 60 * 60 * 1000 }, user: { limit: 10, window: 24 * 60 * 60 * 1000 } },
+    refresh: { ip: { limit: 10, window: 60 * 60 * 1000 }, user: { limit: 10, window: 60 * 60 * 1000 } },
+    regenerate: { ip: { limit: 30, window: 60 * 60 * 1000 }, user: { limit: 30, window: 60 * 60 * 1000 } },
+    news: { ip: { limit: 30, window: 60 * 1000 } },
+    directory: { ip: { limit: 60, window: 60 * 1000 } },
+    weather: { ip: { limit: 30, window: 60 * 1000 } }
+  },
   // 社交爬虫 User-Agent 列表
   SOCIAL_BOTS: [
     'twitterbot', 'facebookexternalhit', 'linkedinbot',
@@ -28,6 +147,24 @@ const CONFIG = {
     'redditbot', 'applebot', 'embedly', 'quora link preview',
     'showyoubot', 'outbrain', 'rogerbot', 'developers.google.com'
   ],
+  // 新闻个性化排序
+  EMBEDDING_MODEL: '@cf/baai/bge-m3',         // 多语言嵌入模型，资料和标题可能是中英文混合
+  EMBEDDING_BATCH_SIZE: 50,
+  NEWS_CANDIDATES: { hackerNews: 15, devTo: 15, githubTrending: 10, finance: 10 }, // 各来源拉取的候选条数
+  NEWS_CANDIDATE_LIMIT: 50,                 // 参与排序的候选池上限（DO 单次批量读写最多 128 个键）
+  NEWS_DISPLAY_COUNT: 8,
+  NEWS_RANKING_WEIGHTS: { similarity: 0.6, freshness: 0.25, popularity: 0.15 },
+  NEWS_FRESHNESS_HALF_LIFE: 24 * 60 * 60 * 1000, // 新鲜度每 24 小时减半
+  NEWS_FEEDBACK_WEIGHTS: { click: 0.3, hide: 0.3 }, // 点击拉近、隐藏推远偏好向量的权重
+  NEWS_FEEDBACK_DECAY: 0.8,                 // 反馈向量的滑动平均系数，越小越偏向最近的反馈
+  NEWS_HIDDEN_LIMIT: 200,                   // 保留的隐藏新闻条数
+  NEWS_SUMMARY_LENGTH: [20, 80],            // 新闻一句话摘要的字数（中文）
+  NEWS_SUMMARY_CONCURRENCY: 3,
+  NEWS_ARTICLE_TIMEOUT: 5000,               // 抓取文章页面的超时（毫秒）
+  NEWS_ARTICLE_MAX_BYTES: 300000,           // 只解析文章页面的开头部分
+  NEWS_ARTICLE_MAX_LENGTH: 2000,            // 写入提示词的正文最大字符数
+  NEWS_ARTICLE_MIN_LENGTH: 200,             // 正文短于此长度时视为抓取失败，改用来源提供的简介
+
   // 新闻源配置
   NEWS_SOURCES: {
     HACKER_NEWS: 'https://hacker-news.firebaseio.com/v0',
@@ -41,6 +178,9 @@ export class UserDurableObject {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    this.revalidating = null; // 进行中的天气 / 新闻后台刷新，供并发访问共享
+    this.summarizingNews = null; // 进行中的新闻摘要后台生成，见 summarizeNewsInBackground
+    this.summarizeNewsAgain = false;
   }
 
   async fetch(request) {
@@ -50,14 +190,48 @@ export class UserDurableObject {
       switch (url.pathname) {
         case '/get':
           return await this.getData();
+        case '/page-version':
+          return await this.getPageVersion();
         case '/set':
           return await this.setData(request);
         case '/update':
           return await this.updateData(request);
         case '/delete':
           return await this.deleteData();
+        case '/export':
+          return await this.exportData();
         case '/update-bookmarks':
           return await this.updateBookmarks(request);
+        case '/tokens/create':
+          return await this.createToken(request);
+        case '/tokens/list':
+          return await this.listTokens();
+        case '/tokens/revoke':
+          return await this.revokeToken(request);
+        case '/tokens/verify':
+          return await this.verifyToken(request);
+        case '/audit':
+          return await this.getAuditLog(url);
+        case '/ai-history':
+          return await this.getAIHistory(url);
+        case '/ai-history/restore':
+          return await this.restoreAIVersion(request);
+        case '/revalidate':
+          return await this.revalidate();
+        case '/schedule':
+          return await this.ensureSchedule();
+        case '/refresh-runs':
+          return await this.getRefreshRuns();
+        case '/quotes':
+          return await this.getQuoteHistory(url);
+        case '/quotes/favorite':
+          return await this.favoriteQuote(request);
+        case '/digests':
+          return await this.getWeeklyDigests(url);
+        case '/digests/refresh':
+          return await this.refreshWeeklyDigests();
+        case '/news/feedback':
+          return await this.recordNewsFeedback(request);
         default:
           return new Response('Not Found', { status: 404 });
       }
@@ -69,8 +243,41 @@ export class UserDurableObject {
     }
   }
 
-  async getData() {
+  // 读取 userData，旧版本数据自动迁移并写回
+  async loadUserData() {
     const data = await this.state.storage.get('userData');
+    if (!data || data.schemaVersion >= USER_DATA_SCHEMA_VERSION) {
+      return data;
+    }
+
+    const migrated = migrateUserData(data);
+    await this.state.storage.put('userData', migrated);
+    return migrated;
+  }
+
+  // ========== 页面缓存版本 ==========
+  // 页面缓存键带上 pageVersion，每次写入都换新版本：Cache API 只能清除当前数据中心的副本，
+  // 换键后所有数据中心的旧副本都不再命中，等 PAGE_CACHE_TTL 后自然过期
+  async purgePageCache() {
+    await this.state.storage.put('pageVersion', Date.now());
+  }
+
+  // 页面不存在时返回 null，Worker 不读取缓存
+  async getPageVersion() {
+    if (!(await this.loadUserData())) {
+      return jsonResponse({ version: null });
+    }
+
+    let version = await this.state.storage.get('pageVersion');
+    if (!version) {
+      version = Date.now();
+      await this.state.storage.put('pageVersion', version);
+    }
+    return jsonResponse({ version });
+  }
+
+  async getData() {
+    const data = await this.loadUserData();
     if (!data) {
       return new Response(JSON.stringify({ exists: false }), {
         headers: { 'Content-Type': 'application/json' }
@@ -86,20 +293,31 @@ export class UserDurableObject {
     const now = Date.now();
     
     const userData = {
+      schemaVersion: USER_DATA_SCHEMA_VERSION,
       username: body.username,
       city: body.city || CONFIG.DEFAULT_CITY,
       interests: body.interests || [],
       userBio: body.userBio || '',
       slug: body.slug,
-      github: body.github || null,
-      repos: body.repos || [],
+      github: normalizeGitHubUser(body.github, body.username),
+      repos: normalizeRepos(body.repos),
       aiBio: body.aiBio || null,
       aiProjectDescriptions: body.aiProjectDescriptions || {},
       aiQuote: body.aiQuote || null,
+      aiModels: getAIModels(body.aiMeta),          // 生成各字段时使用的模型
+      aiLanguage: body.aiLanguage || 'zh',         // 以上 AI 字段的语言
+      aiLocales: body.aiLocales || {},             // 其他语言的 AI 内容 { en: { aiBio, aiProjectDescriptions, aiQuote, aiModels } }
+      aiLocks: { bio: false, quote: false, projectDescriptions: {} }, // 锁定的字段在刷新时保留，见 applyAILocks
+      aiProjectFingerprints: body.aiProjectFingerprints || {}, // 各语言项目描述对应的仓库指纹 { zh: { repo: fingerprint } }
+      readmeDigests: body.readmeDigests || {}, // 精选仓库的 README 摘要 { repo: { pushedAt, etag, digest } }
+      dailyQuote: null,                            // 当前每日语录 { date, style, text }，见 rotateDailyQuote
+      nextQuote: null,                             // 提前生成的下一天语录
+      weeklyDigest: null,                          // 本周 GitHub 动态总结，往期保存在 digest:{week} 中
       aiBackgroundUrl: body.aiBackgroundUrl || null,
       aiCardImageUrl: body.aiCardImageUrl || null, // 社交卡片图
       skills: body.skills || [],
       bookmarks: body.bookmarks || [],
+      settings: { ...CONFIG.DEFAULT_SETTINGS, ...body.settings },
       timestamps: {
         created: now,
         updated: now,
@@ -112,7 +330,19 @@ export class UserDurableObject {
       cachedWeather: body.cachedWeather || null
     };
 
+    // 新闻排序会调用嵌入模型，期间其他请求可能写入，所以在读取旧数据之前完成
+    if (userData.cachedNews) userData.cachedNews = await this.rankNewsCandidates(userData.cachedNews, userData);
+
+    const previous = await this.loadUserData();
+    if (userData.cachedNews) userData.cachedNews = carryNewsSummaries(userData.cachedNews, previous?.cachedNews);
+
     await this.state.storage.put('userData', userData);
+    await this.appendAudit(request, diffUserData(previous || {}, userData));
+    await this.recordAIHistory(body.aiMeta, previous, userData);
+    await this.syncDirectory(previous, userData);
+    await this.purgePageCache();
+    await this.scheduleRefresh();
+    if (userData.cachedNews) this.summarizeNewsInBackground();
     
     return new Response(JSON.stringify({ success: true, data: userData }), {
       headers: { 'Content-Type': 'application/json' }
@@ -120,8 +350,17 @@ export class UserDurableObject {
   }
 
   async updateData(request) {
-    const updates = await request.json();
-    let userData = await this.state.storage.get('userData');
+    const { aiMeta, ...updates } = await request.json();
+
+    // cachedNews 传入的是候选池，按合并后的资料排序后只保留展示的条数
+    // 排序会调用嵌入模型，期间其他请求可能写入，所以在读取-合并-写入之前完成
+    let news = null;
+    if (updates.cachedNews) {
+      const current = await this.loadUserData();
+      if (current) news = await this.rankNewsCandidates(updates.cachedNews, this.deepMerge(current, updates));
+    }
+
+    let userData = await this.loadUserData();
     
     if (!userData) {
       return new Response(JSON.stringify({ error: 'User not found' }), {
@@ -130,27 +369,66 @@ export class UserDurableObject {
       });
     }
 
+    if (updates.github) updates.github = normalizeGitHubUser(updates.github, userData.username);
+    if (updates.repos) updates.repos = normalizeRepos(updates.repos);
+
+    const previous = userData;
     userData = this.deepMerge(userData, updates);
+    // 指纹整体替换：生成失败的仓库不能留下旧指纹，否则下次会沿用回退描述
+    if (updates.aiProjectFingerprints) userData.aiProjectFingerprints = updates.aiProjectFingerprints;
+    if (updates.readmeDigests) userData.readmeDigests = updates.readmeDigests;
+    if (aiMeta) userData.aiModels = { ...userData.aiModels, ...getAIModels(aiMeta) };
+    if (news) userData.cachedNews = carryNewsSummaries(news, previous.cachedNews);
     userData.timestamps.updated = Date.now();
     
     await this.state.storage.put('userData', userData);
+    await this.appendAudit(request, diffUserData(previous, userData));
+    await this.recordAIHistory(aiMeta, previous, userData);
+    await this.syncDirectory(previous, userData);
+    await this.purgePageCache();
+    if (news) this.summarizeNewsInBackground();
     
     return new Response(JSON.stringify({ success: true, data: userData }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
+  // 清空该用户的全部状态（userData、API Token 等）
   async deleteData() {
-    await this.state.storage.delete('userData');
+    const userData = await this.loadUserData();
+    await this.state.storage.deleteAlarm();
+    await this.state.storage.deleteAll();
+    // pageVersion 随存储一起删除，之后该页面不再读取缓存
+    if (userData) {
+      await this.syncDirectory(userData, null);
+    }
     return new Response(JSON.stringify({ success: true }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
+  async exportData() {
+    const userData = await this.loadUserData();
+
+    if (!userData) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+
+    const aiHistory = {};
+    for (const field of Object.keys(AI_HISTORY_FIELDS)) {
+      aiHistory[field] = (await this.state.storage.get(`aiHistory:${field}`)) || [];
+    }
+
+    const quoteHistory = (await this.state.storage.get('quoteHistory')) || [];
+    const weeklyDigests = [...(await this.state.storage.list({ prefix: 'digest:' })).values()];
+
+    return jsonResponse({ userData, aiHistory, quoteHistory, weeklyDigests });
+  }
+
   // 批量更新书签（支持排序）
   async updateBookmarks(request) {
     const { bookmarks } = await request.json();
-    let userData = await this.state.storage.get('userData');
+    let userData = await this.loadUserData();
     
     if (!userData) {
       return new Response(JSON.stringify({ error: 'User not found' }), {
@@ -159,6 +437,8 @@ export class UserDurableObject {
       });
     }
 
+    const previousBookmarks = userData.bookmarks;
+
     // 确保每个书签有正确的 order
     userData.bookmarks = (bookmarks || []).map((bm, index) => ({
       id: bm.id || Date.now().toString(36) + index,
@@ -170,361 +450,3290 @@ export class UserDurableObject {
     userData.timestamps.updated = Date.now();
     
     await this.state.storage.put('userData', userData);
+    await this.appendAudit(request, diffUserData({ bookmarks: previousBookmarks }, { bookmarks: userData.bookmarks }));
+    await this.purgePageCache();
     
     return new Response(JSON.stringify({ success: true, bookmarks: userData.bookmarks }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  deepMerge(target, source) {
-    const result = { ...target };
-    for (const key in source) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-        result[key] = this.deepMerge(result[key] || {}, source[key]);
-      } else {
-        result[key] = source[key];
-      }
+  // ========== API Token（只保存哈希，明文仅在创建时返回一次）==========
+  async createToken(request) {
+    const { name, scopes, expiresAt } = await request.json();
+    const userData = await this.loadUserData();
+
+    if (!userData) {
+      return jsonResponse({ error: 'User not found' }, 404);
     }
-    return result;
+
+    const id = base64UrlEncode(crypto.getRandomValues(new Uint8Array(6)));
+    const secret = base64UrlEncode(crypto.getRandomValues(new Uint8Array(24)));
+    const token = `${CONFIG.API_TOKEN_PREFIX}_${userData.username}_${secret}`;
+
+    const record = {
+      id,
+      name: name || 'API Token',
+      hash: await sha256Hex(token),
+      scopes,
+      createdAt: Date.now(),
+      expiresAt: expiresAt || null,
+      lastUsedAt: null
+    };
+
+    await this.state.storage.put(`token:${id}`, record);
+    await this.appendAudit(request, {
+      apiToken: { from: null, to: { id, name: record.name, scopes, expiresAt: record.expiresAt } }
+    });
+
+    return jsonResponse({ success: true, token, info: publicTokenInfo(record) });
   }
-}
 
-// ==================== 主 Worker ====================
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
+  async listTokens() {
+    const records = await this.state.storage.list({ prefix: 'token:' });
+    const tokens = [...records.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(publicTokenInfo);
 
-    if (request.method === 'OPTIONS') {
-      return handleCORS();
+    return jsonResponse({ tokens });
+  }
+
+  async revokeToken(request) {
+    const { id } = await request.json();
+    const record = await this.state.storage.get(`token:${id}`);
+
+    if (!record) {
+      return jsonResponse({ error: 'Token not found' }, 404);
     }
 
-    try {
-      if (path === '/' || path === '/index.html') {
-        return serveEntryPage();
-      }
+    await this.state.storage.delete(`token:${id}`);
+    await this.appendAudit(request, {
+      apiToken: { from: { id, name: record.name, scopes: record.scopes }, to: null }
+    });
 
-      if (path.startsWith('/api/')) {
-        return await handleAPI(request, env, path);
-      }
+    return jsonResponse({ success: true });
+  }
 
-      if (path.startsWith('/p/') || path.startsWith('/@')) {
-        return await handlePortfolioPage(request, env, path);
+  async verifyToken(request) {
+    const { hash } = await request.json();
+    const records = await this.state.storage.list({ prefix: 'token:' });
+    const record = [...records.values()].find(r => r.hash === hash);
+
+    if (!record || (record.expiresAt && record.expiresAt < Date.now())) {
+      return jsonResponse({ valid: false });
+    }
+
+    record.lastUsedAt = Date.now();
+    await this.state.storage.put(`token:${record.id}`, record);
+
+    return jsonResponse({ valid: true, id: record.id, scopes: record.scopes });
+  }
+
+  // ========== AI 内容版本历史（每个字段保留最近 N 个版本）==========
+  async recordAIHistory(aiMeta, previous, userData) {
+    if (!aiMeta) return;
+
+    const now = Date.now();
+
+    for (const [field, meta] of Object.entries(aiMeta)) {
+      const dataKey = AI_HISTORY_FIELDS[field];
+      if (!dataKey) continue;
+
+      const history = (await this.state.storage.get(`aiHistory:${field}`)) || [];
+
+      // 首次记录时把已有内容作为最早的版本保存下来
+      if (history.length === 0 && previous?.[dataKey]) {
+        history.push(createAIVersion(previous[dataKey], null, null, previous.timestamps?.textGenerated || now));
       }
 
-      if (path.startsWith('/assets/')) {
-        return await serveR2Asset(env, path);
+      history.unshift(createAIVersion(userData[dataKey], meta.model, meta.prompt, now));
+      await this.state.storage.put(`aiHistory:${field}`, history.slice(0, CONFIG.AI_HISTORY_LIMIT));
+    }
+  }
+
+  async getAIHistory(url) {
+    const field = url.searchParams.get('field');
+    const versionId = url.searchParams.get('id');
+    const history = (await this.state.storage.get(`aiHistory:${field}`)) || [];
+
+    if (versionId) {
+      const version = history.find(v => v.id === versionId);
+      if (!version) {
+        return jsonResponse({ error: 'Version not found' }, 404);
       }
+      return jsonResponse({ field, version });
+    }
 
-      return new Response('Not Found', { status: 404 });
+    const userData = await this.loadUserData();
+    const current = JSON.stringify(userData?.[AI_HISTORY_FIELDS[field]] ?? null);
+
+    return jsonResponse({
+      field,
+      versions: history.map(({ value, prompt, ...version }) => ({
+        ...version,
+        preview: summarizeAIValue(value),
+        isCurrent: JSON.stringify(value) === current
+      }))
+    });
+  }
+
+  async restoreAIVersion(request) {
+    const { field, id } = await request.json();
+    const history = (await this.state.storage.get(`aiHistory:${field}`)) || [];
+    const version = history.find(v => v.id === id);
+
+    if (!version) {
+      return jsonResponse({ error: 'Version not found' }, 404);
+    }
+
+    const userData = await this.loadUserData();
+    if (!userData) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+
+    const dataKey = AI_HISTORY_FIELDS[field];
+    const previous = { [dataKey]: userData[dataKey] };
+
+    // 直接替换整个字段（deepMerge 会保留旧的项目描述键）
+    userData[dataKey] = version.value;
+    userData.aiModels = { ...userData.aiModels, [field]: version.model };
+    // 回滚的描述不一定对应仓库当前的状态，下次刷新时重新生成
+    if (field === 'projectDescriptions') {
+      userData.aiProjectFingerprints = { ...userData.aiProjectFingerprints, [userData.aiLanguage]: {} };
+    }
+    userData.timestamps.updated = Date.now();
+
+    await this.state.storage.put('userData', userData);
+    await this.appendAudit(request, diffUserData(previous, { [dataKey]: userData[dataKey] }));
+    await this.syncDirectory({ ...userData, ...previous }, userData);
+    await this.purgePageCache();
+
+    return jsonResponse({ success: true, field, version: { id: version.id, createdAt: version.createdAt }, data: userData });
+  }
+
+  // ========== 公开目录索引 ==========
+  // 只有目录相关字段或公开设置变化时才同步，失败不影响写入本身
+  async syncDirectory(previous, userData) {
+    if (!this.env.DIRECTORY) return;
+
+    const wasListed = !!previous?.settings?.listedInDirectory;
+    const isListed = !!userData?.settings?.listedInDirectory;
+    const entry = isListed ? buildDirectoryEntry(userData) : null;
+
+    if (!wasListed && !isListed) return;
+    if (wasListed && isListed && JSON.stringify(buildDirectoryEntry(previous)) === JSON.stringify(entry)) return;
+
+    try {
+      const directory = this.env.DIRECTORY.get(this.env.DIRECTORY.idFromName('global'));
+      await directory.fetch(new Request(isListed ? 'http://directory/upsert' : 'http://directory/remove', {
+        method: 'POST',
+        body: JSON.stringify(isListed ? entry : { username: (previous || userData).username })
+      }));
+    } catch (e) {
+      console.error('Directory sync error:', e);
+    }
+  }
+
+  // ========== 天气 / 新闻后台刷新（stale-while-revalidate）==========
+  // 页面先用缓存渲染，再由 Worker 通过 waitUntil 调用这里；同一时间只执行一次刷新
+  async revalidate() {
+    if (!this.revalidating) {
+      this.revalidating = this.refreshStaleWidgets().finally(() => {
+        this.revalidating = null;
+      });
+    }
+    return jsonResponse(await this.revalidating);
+  }
+
+  async refreshStaleWidgets() {
+    const userData = await this.loadUserData();
+    if (!userData) return { refreshed: [] };
+
+    const stale = getStaleWidgets(userData);
+    if (stale.length === 0) return { refreshed: [] };
+
+    const [weather, news] = await Promise.all([
+      stale.includes('weather') ? fetchWeather(this.env, userData.city) : null,
+      stale.includes('news') ? fetchRealNews(userData.interests) : null
+    ]);
+
+    // 上游失败（fetchWeather 返回 fallback）时保留旧缓存，下次访问再重试
+    const now = Date.now();
+    const updates = { timestamps: {} };
+    if (weather && (weather.source !== 'fallback' || !userData.cachedWeather)) {
+      updates.cachedWeather = weather;
+      updates.timestamps.weatherUpdated = now;
+    }
+    if (news && news.length > 0) {
+      updates.cachedNews = news;
+      updates.timestamps.newsUpdated = now;
+    }
+
+    const refreshed = Object.keys(updates.timestamps).map(key => key.replace('Updated', ''));
+    if (refreshed.length === 0) return { refreshed };
+
+    await this.updateData(new Request('http://do/update', {
+      method: 'POST',
+      body: JSON.stringify(updates)
+    }));
+    return { refreshed };
+  }
+
+  // ========== 新闻个性化排序 ==========
+  // 所有者资料（技能、兴趣、简介）和候选新闻标题用嵌入模型向量化，按相似度、新鲜度和热度综合排序
+  // 候选池保存在 newsCandidates 中，隐藏新闻后可以直接重排；标题向量按 URL 缓存
+  // 链接不是 http(s) 的候选直接丢弃，既不展示也不能收到反馈；其余链接规范化后保存
+  async rankNewsCandidates(candidates, userData) {
+    candidates = candidates
+      .filter(item => typeof item.title === 'string' && safeHttpUrl(item.url))
+      .map(item => ({ ...item, url: safeHttpUrl(item.url) }));
+    await this.state.storage.put('newsCandidates', candidates);
+    const feedback = await this.loadNewsFeedback();
+
+    let similarities = null;
+    try {
+      const preference = await this.getNewsPreference(userData, feedback);
+      const vectors = await this.getNewsEmbeddings(candidates);
+      similarities = vectors.map(vector => dotProduct(preference, vector));
     } catch (error) {
-      console.error('Worker Error:', error);
-      return new Response(JSON.stringify({ error: error.message }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
+      // 嵌入模型不可用时只按新鲜度和热度排序
+      console.error('News embedding error:', error);
+    }
+
+    return rankNews(candidates, { similarities, hidden: feedback.hidden.map(entry => entry.url) });
+  }
+
+  // 摘要要抓取文章并调用文本模型，不放在写入路径上：写入完成后在后台生成，只回写 cachedNews 中的摘要
+  // 同一时间只执行一次，期间展示的新闻又有变化时结束后再执行一次
+  summarizeNewsInBackground() {
+    if (this.summarizingNews) {
+      this.summarizeNewsAgain = true;
+      return;
+    }
+    this.summarizingNews = this.summarizeNews()
+      .catch(error => console.error('News summary error:', error))
+      .finally(() => {
+        this.summarizingNews = null;
+        if (this.summarizeNewsAgain) {
+          this.summarizeNewsAgain = false;
+          this.summarizeNewsInBackground();
+        }
       });
+  }
+
+  async summarizeNews() {
+    const userData = await this.loadUserData();
+    if (!userData?.cachedNews?.some(item => !item.summary)) return;
+
+    const summarized = await attachNewsSummaries(this.env, userData.cachedNews);
+
+    // 生成期间其他请求可能写入，重新读取后只给仍在展示的新闻补上摘要
+    const current = await this.loadUserData();
+    if (!current?.cachedNews) return;
+    const news = carryNewsSummaries(current.cachedNews, summarized);
+    if (news.every((item, i) => item === current.cachedNews[i])) return;
+
+    current.cachedNews = news;
+    await this.state.storage.put('userData', current);
+    await this.purgePageCache();
+  }
+
+  async loadNewsFeedback() {
+    return (await this.state.storage.get('newsFeedback')) || { click: null, hide: null, hidden: [] };
+  }
+
+  // 资料向量按资料文本的哈希缓存，再叠加点击 / 隐藏反馈
+  async getNewsPreference(userData, feedback) {
+    const text = buildNewsProfileText(userData);
+    const hash = (await sha256Hex(text)).slice(0, 16);
+
+    let profile = await this.state.storage.get('newsProfile');
+    if (profile?.hash !== hash) {
+      profile = { hash, vector: (await embedTexts(this.env.AI, [text]))[0] };
+      await this.state.storage.put('newsProfile', profile);
     }
+
+    return combineNewsPreference(profile.vector, feedback);
   }
-};
 
-// ==================== CORS 处理 ====================
-function handleCORS() {
-  return new Response(null, {
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Max-Age': '86400'
+  // 返回与 candidates 一一对应的标题向量，只为新出现的新闻调用模型；不在候选池中的缓存随之清理
+  async getNewsEmbeddings(candidates) {
+    const keys = await Promise.all(candidates.map(item => newsEmbeddingKey(item.url)));
+    const cached = await this.state.storage.get(keys);
+
+    const missing = keys.filter(key => !cached.has(key));
+    if (missing.length > 0) {
+      const titles = missing.map(key => candidates[keys.indexOf(key)].title);
+      const vectors = await embedTexts(this.env.AI, titles);
+      const entries = Object.fromEntries(missing.map((key, i) => [key, vectors[i]]));
+      await this.state.storage.put(entries);
+      for (const [key, vector] of Object.entries(entries)) cached.set(key, vector);
     }
-  });
-}
 
-// ==================== API 处理 ====================
-async function handleAPI(request, env, path) {
-  const apiPath = path.replace('/api', '');
+    const current = new Set(keys);
+    const stale = [...(await this.state.storage.list({ prefix: 'newsEmbedding:' })).keys()].filter(key => !current.has(key));
+    if (stale.length > 0) await this.state.storage.delete(stale);
 
-  switch (true) {
-    case apiPath === '/generate':
-      return await handleGenerate(request, env);
-    case apiPath.startsWith('/user/'):
-      return await handleGetUser(request, env, apiPath);
-    case apiPath === '/refresh':
-      return await handleRefresh(request, env);
-    case apiPath === '/bookmarks/update':
-      return await handleUpdateBookmarks(request, env);
-    case apiPath === '/weather':
-      return await handleWeather(request, env);
-    case apiPath === '/news':
-      return await handleNews(request, env);
-    case apiPath === '/debug':
-      return await handleDebug(request, env);
-    case apiPath === '/location':
-      return handleLocation(request);
-    default:
-      return new Response('API Not Found', { status: 404 });
+    return keys.map(key => cached.get(key));
   }
-}
 
-// ==================== 获取用户位置 ====================
-function handleLocation(request) {
-  const cf = request.cf || {};
-  
-  return jsonResponse({
-    city: cf.city || 'Los Angeles',
-    country: cf.country || 'US',
-    region: cf.region || '',
-    latitude: cf.latitude || null,
-    longitude: cf.longitude || null,
-    timezone: cf.timezone || 'America/Los_Angeles',
-    cityDisplay: getCityDisplayName(cf.city, cf.country)
-  });
-}
+  // 所有者点击（click）或隐藏（hide）了一条新闻；隐藏后立即重排，用候选池中的下一条补上
+  async recordNewsFeedback(request) {
+    const { url, action } = await request.json();
+    const candidates = (await this.state.storage.get('newsCandidates')) || [];
+    const item = candidates.find(candidate => candidate.url === url);
 
-function getCityDisplayName(city, country) {
-  if (!city) return '洛杉矶';
-  
-  const cityNameMap = {
-    'Beijing': '北京',
-    'Shanghai': '上海',
-    'Guangzhou': '广州',
-    'Shenzhen': '深圳',
-    'Hangzhou': '杭州',
-    'Chengdu': '成都',
-    'Wuhan': '武汉',
-    'Xian': '西安',
-    'Nanjing': '南京',
-    'Suzhou': '苏州',
-    'Hong Kong': '香港',
-    'Taipei': '台北',
-    'Tokyo': '东京',
-    'Singapore': '新加坡',
-    'Seoul': '首尔',
-    'Los Angeles': '洛杉矶',
-    'San Francisco': '旧金山',
-    'New York': '纽约',
-    'Seattle': '西雅图',
-    'London': '伦敦',
-    'Paris': '巴黎',
-    'Sydney': '悉尼',
-    'Toronto': '多伦多'
-  };
-  
-  return cityNameMap[city] || city;
-}
+    if (!item) {
+      return jsonResponse({ error: 'News item not found' }, 404);
+    }
 
-// ==================== 诊断端点 ====================
-async function handleDebug(request, env) {
-  const bindings = {
-    AI: {
-      exists: !!env.AI,
-      type: typeof env.AI,
-      isFunction: typeof env.AI?.run === 'function'
-    },
-    USER_DO: {
-      exists: !!env.USER_DO,
-      type: typeof env.USER_DO
-    },
-    R2_BUCKET: {
-      exists: !!env.R2_BUCKET,
-      type: typeof env.R2_BUCKET
-    },
-    GITHUB_TOKEN: {
-      exists: !!env.GITHUB_TOKEN,
-      length: env.GITHUB_TOKEN?.length || 0
+    const vector = (await this.state.storage.get(await newsEmbeddingKey(url))) ||
+      (await embedTexts(this.env.AI, [item.title]))[0];
+    const feedback = await this.loadNewsFeedback();
+    feedback[action] = accumulateNewsFeedback(feedback[action], vector);
+    if (action === 'hide') {
+      feedback.hidden = [
+        { url, title: item.title, hiddenAt: Date.now() },
+        ...feedback.hidden.filter(entry => entry.url !== url)
+      ].slice(0, CONFIG.NEWS_HIDDEN_LIMIT);
     }
-  };
+    await this.state.storage.put('newsFeedback', feedback);
+
+    // 点击只影响之后的排序，不打乱正在看的列表
+    if (action !== 'hide') {
+      return jsonResponse({ success: true });
+    }
+
+    await this.appendAudit(request, { 'newsFeedback.hidden': { from: null, to: url } });
+
+    // 重排期间其他请求可能写入，完成后重新读取 userData，只替换 cachedNews
+    const news = await this.rankNewsCandidates(candidates, await this.loadUserData());
+
+    const userData = await this.loadUserData();
+    if (!userData) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+    userData.cachedNews = carryNewsSummaries(news, userData.cachedNews);
+    await this.state.storage.put('userData', userData);
+    await this.purgePageCache();
+    this.summarizeNewsInBackground();
+
+    return jsonResponse({ success: true, news: userData.cachedNews });
+  }
+
+  // ========== 定时任务（DO alarm）==========
+  // 同一个 alarm 负责两件事：到期的定时刷新，以及所有者时区零点的每日语录轮换
+  // 下一次 alarm 取两者中较早的时间
+  async alarm() {
+    const userData = await this.loadUserData();
+    if (!userData) return;
+
+    let state = (await this.state.storage.get('refreshState')) || { failures: 0 };
+    if (!state.nextRunAt || state.nextRunAt <= Date.now()) {
+      state = await this.runScheduledRefresh(userData, state);
+      // 运行期间页面被删除时不再留下任何状态
+      if (!state) return;
+    }
+
+    await this.rotateDailyQuote();
+    try {
+      await this.refreshWeeklyDigests();
+    } catch (error) {
+      console.error('Weekly digest error:', error);
+    }
+
+    const current = await this.loadUserData();
+    if (!current) return;
+    await this.state.storage.setAlarm(Math.min(state.nextRunAt, nextLocalMidnight(Date.now(), current.settings.timezone)));
+  }
+
+  // 每隔 SCHEDULE_INTERVAL 刷新 GitHub 数据、新闻和天气，AI 文案按所有者选择的周期重新生成
+  // 失败时按指数退避重试，每次运行的结果保存在 refreshRuns 中；返回新的 refreshState
+  async runScheduledRefresh(userData, state) {
+    const cadence = CONFIG.REFRESH_CADENCES[userData.settings.refreshCadence];
+    const regenerateAI = !!cadence && Date.now() - (userData.timestamps.textGenerated || 0) >= cadence;
+
+    const run = {
+      id: base64UrlEncode(crypto.getRandomValues(new Uint8Array(6))),
+      startedAt: Date.now(),
+      finishedAt: null,
+      regenerateAI,
+      status: 'success',
+      error: null
+    };
+
+    try {
+      const updates = await buildRefreshUpdates(this.env, userData, { regenerateAI });
+      const res = await this.updateData(new Request('http://do/update', {
+        method: 'POST',
+        headers: { 'X-Audit-Context': JSON.stringify({ actor: { type: 'system' }, route: 'scheduled' }) },
+        body: JSON.stringify(updates)
+      }));
+      if (!res.ok) throw new Error((await res.json()).error || `Update failed: ${res.status}`);
+      state.failures = 0;
+    } catch (error) {
+      console.error('Scheduled refresh error:', error);
+      state.failures += 1;
+      run.status = 'error';
+      run.error = error.message;
+    }
+
+    if (!(await this.state.storage.get('userData'))) return null;
+
+    run.finishedAt = Date.now();
+    const delay = state.failures === 0
+      ? CONFIG.SCHEDULE_INTERVAL
+      : Math.min(CONFIG.SCHEDULE_BACKOFF_BASE * 2 ** (state.failures - 1), CONFIG.SCHEDULE_BACKOFF_MAX);
+    state.lastRunAt = run.startedAt;
+    state.nextRunAt = run.finishedAt + delay;
+
+    const runs = (await this.state.storage.get('refreshRuns')) || [];
+    runs.unshift(run);
+
+    await this.state.storage.put({
+      refreshState: state,
+      refreshRuns: runs.slice(0, CONFIG.SCHEDULE_RUN_LIMIT)
+    });
+    return state;
+  }
+
+  // ========== 每日语录 ==========
+  // 到了所有者时区的新一天时换上提前生成的语录（没有则当场生成），再提前生成下一天的
+  // 语录锁定时不轮换；生成失败只记录日志，下一次 alarm 重试
+  async rotateDailyQuote() {
+    const userData = await this.loadUserData();
+    if (!userData || userData.aiLocks.quote) return;
+
+    const now = Date.now();
+    const timezone = userData.settings.timezone;
+    const today = localDate(now, timezone);
+
+    try {
+      let history = (await this.state.storage.get('quoteHistory')) || [];
+
+      if (userData.dailyQuote?.date !== today) {
+        // 生成之后才被禁用的风格不再使用
+        const next = userData.nextQuote;
+        let quote = next?.date <= today && !userData.settings.bannedQuoteStyles.includes(next.style) ? next : null;
+
+        // 首次轮换：当前语录直接作为今天的语录
+        if (!quote && !userData.dailyQuote && userData.aiQuote) {
+          quote = { date: today, style: null, value: userData.aiQuote, locales: {}, model: userData.aiModels.quote, prompt: null };
+        }
+        if (!quote) quote = await buildDailyQuote(this.env, userData, today, history);
+
+        history = await this.appendQuoteHistory({
+          date: today,
+          text: quote.value.text,
+          author: quote.value.author,
+          style: quote.style,
+          model: quote.model,
+          favorite: false
+        });
+
+        const isCurrent = quote.value === userData.aiQuote;
+        await this.updateData(new Request('http://do/update', {
+          method: 'POST',
+          headers: { 'X-Audit-Context': JSON.stringify({ actor: { type: 'system' }, route: 'daily-quote' }) },
+          body: JSON.stringify({
+            aiQuote: quote.value,
+            aiLocales: Object.fromEntries(Object.entries(quote.locales).map(([code, value]) => [code, { aiQuote: value }])),
+            dailyQuote: { date: today, style: quote.style, text: quote.value.text, favorite: false },
+            nextQuote: null,
+            ...(!isCurrent && { aiMeta: { quote: { model: quote.model, prompt: quote.prompt } } })
+          })
+        }));
+      }
+
+      const latest = await this.loadUserData();
+      if (!latest || latest.nextQuote?.date > today) return;
+
+      const tomorrow = localDate(nextLocalMidnight(now, timezone), timezone);
+      const nextQuote = await buildDailyQuote(this.env, latest, tomorrow, history);
+      await this.updateData(new Request('http://do/update', {
+        method: 'POST',
+        headers: { 'X-Audit-Context': JSON.stringify({ actor: { type: 'system' }, route: 'daily-quote' }) },
+        body: JSON.stringify({ nextQuote })
+      }));
+    } catch (error) {
+      console.error('Daily quote error:', error);
+    }
+  }
+
+  // 新条目放在最前面；收藏的条目不受 QUOTE_HISTORY_LIMIT 限制
+  async appendQuoteHistory(entry) {
+    const history = (await this.state.storage.get('quoteHistory')) || [];
+    const entries = [entry, ...history.filter(item => item.date !== entry.date)];
+
+    let kept = 0;
+    const pruned = entries.filter(item => item.favorite || kept++ < CONFIG.QUOTE_HISTORY_LIMIT);
+    await this.state.storage.put('quoteHistory', pruned);
+    return pruned;
+  }
+
+  // 按日期倒序分页，cursor 为上一页最后一条的日期；favorites=1 只返回收藏
+  async getQuoteHistory(url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || CONFIG.QUOTE_HISTORY_PAGE_SIZE, 100);
+    const cursor = url.searchParams.get('cursor');
+    const favoritesOnly = url.searchParams.get('favorites') === '1';
+
+    const history = (await this.state.storage.get('quoteHistory')) || [];
+    const entries = history.filter(item => (!cursor || item.date < cursor) && (!favoritesOnly || item.favorite));
+    const page = entries.slice(0, limit);
+
+    return jsonResponse({
+      quotes: page,
+      nextCursor: entries.length > limit ? page[page.length - 1].date : null
+    });
+  }
+
+  async favoriteQuote(request) {
+    const { date, favorite } = await request.json();
+    const history = (await this.state.storage.get('quoteHistory')) || [];
+    const entry = history.find(item => item.date === date);
+
+    if (!entry) {
+      return jsonResponse({ error: 'Quote not found' }, 404);
+    }
+
+    // 取消收藏后可能超出条数上限，交给下一次 appendQuoteHistory 清理
+    entry.favorite = favorite;
+    await this.state.storage.put('quoteHistory', history);
+    await this.appendAudit(request, { [`quoteHistory.${date}.favorite`]: { from: !favorite, to: favorite } });
+
+    // 卡片上的收藏状态随 userData 渲染
+    const userData = await this.loadUserData();
+    if (userData?.dailyQuote?.date === date) {
+      userData.dailyQuote.favorite = favorite;
+      await this.state.storage.put('userData', userData);
+      await this.purgePageCache();
+    }
+
+    return jsonResponse({ success: true, quote: entry });
+  }
+
+  // ========== 每周动态 ==========
+  // 拉取 GitHub 公开事件，按所有者时区的 ISO 周分组，本周和上周中事件有变化的周重新总结
+  // 上周结束后生成的总结标记为 final，之后不再改动；没有新事件时 GitHub 返回 304
+  async refreshWeeklyDigests() {
+    const userData = await this.loadUserData();
+    if (!userData) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+
+    const timezone = userData.settings.timezone;
+    const today = localDate(Date.now(), timezone);
+    const currentWeek = isoWeek(today);
+    const weeks = [isoWeek(shiftDate(today, -7)), currentWeek];
+
+    const etag = await this.state.storage.get('eventsEtag');
+    const result = await fetchGitHubEvents(this.env, userData.username, {
+      etag,
+      since: isoWeekRange(weeks[0]).start,
+      timezone
+    });
+
+    let failed = false;
+    for (const week of weeks) {
+      const existing = await this.state.storage.get(`digest:${week}`);
+      if (existing?.final) continue;
+
+      const final = week !== currentWeek;
+      const events = result.events.filter(event => event.week === week);
+      const signature = await signEvents(events);
+      // 304 表示没有新事件：已有记录保持不变，新的一周补上空记录
+      if (existing && (result.notModified || existing.signature === signature)) {
+        if (final) await this.state.storage.put(`digest:${week}`, { ...existing, final });
+        continue;
+      }
+
+      const activity = summarizeWeekActivity(week, events);
+      let digest;
+      try {
+        digest = { ...activity, ...(await generateAIWeeklyDigest(this.env, userData, activity)), signature, final };
+      } catch (error) {
+        // 总结失败时先保存事件统计（沿用旧的总结），下次运行重试
+        console.error(`Weekly digest error for ${week}:`, error);
+        failed = true;
+        digest = {
+          ...activity,
+          summary: existing?.summary ?? null,
+          language: existing?.language ?? userData.aiLanguage,
+          model: existing?.model ?? null,
+          generatedAt: Date.now(),
+          signature: null,
+          final: false
+        };
+      }
+      await this.state.storage.put(`digest:${week}`, digest);
+    }
+
+    // 有总结失败时不保存 ETag，下次即使没有新事件也会重新拉取并重试
+    if (result.etag && !failed) await this.state.storage.put('eventsEtag', result.etag);
+
+    const { signature, final, ...weeklyDigest } = await this.state.storage.get(`digest:${currentWeek}`);
+    if (JSON.stringify(weeklyDigest) === JSON.stringify(userData.weeklyDigest)) {
+      return jsonResponse({ success: true, data: userData });
+    }
+
+    const res = await this.updateData(new Request('http://do/update', {
+      method: 'POST',
+      headers: { 'X-Audit-Context': JSON.stringify({ actor: { type: 'system' }, route: 'weekly-digest' }) },
+      body: JSON.stringify({ weeklyDigest })
+    }));
+    return jsonResponse({ success: true, data: (await res.json()).data });
+  }
+
+  // week 指定某一周；否则按周倒序分页，cursor 为上一页最后一周
+  async getWeeklyDigests(url) {
+    const week = url.searchParams.get('week');
+    if (week) {
+      const digest = await this.state.storage.get(`digest:${week}`);
+      if (!digest) return jsonResponse({ error: 'Digest not found' }, 404);
+      const { signature, ...rest } = digest;
+      return jsonResponse({ digest: rest });
+    }
+
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || CONFIG.DIGEST_PAGE_SIZE, 52);
+    const cursor = url.searchParams.get('cursor');
+
+    const options = { prefix: 'digest:', reverse: true, limit: limit + 1 };
+    if (cursor) options.end = `digest:${cursor}`;
+
+    const entries = [...(await this.state.storage.list(options)).values()];
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    return jsonResponse({
+      digests: page.map(({ signature, ...digest }) => digest),
+      nextCursor: hasMore ? page[page.length - 1].week : null
+    });
+  }
+
+  // 尚未设置 alarm 时安排下一次刷新，返回下一次运行时间
+  async scheduleRefresh() {
+    const existing = await this.state.storage.getAlarm();
+    if (existing !== null) return existing;
+
+    const nextRunAt = Date.now() + CONFIG.SCHEDULE_INTERVAL;
+    await this.state.storage.setAlarm(nextRunAt);
+    return nextRunAt;
+  }
+
+  async ensureSchedule() {
+    if (!(await this.loadUserData())) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+    return jsonResponse({ success: true, nextRunAt: await this.scheduleRefresh() });
+  }
+
+  async getRefreshRuns() {
+    const state = (await this.state.storage.get('refreshState')) || { failures: 0 };
+    const runs = (await this.state.storage.get('refreshRuns')) || [];
+    const nextRunAt = await this.state.storage.getAlarm();
+    return jsonResponse({ ...state, nextRunAt, runs });
+  }
+
+  // ========== 审计日志（追加写入，按时间倒序分页读取）==========
+  // 操作者信息由 Worker 通过 X-Audit-Context 头传入，缺省视为系统操作
+  async appendAudit(request, changes) {
+    if (Object.keys(changes).length === 0) return;
+
+    let context = {};
+    try {
+      context = JSON.parse(request.headers.get('X-Audit-Context') || '{}');
+    } catch (e) {
+      console.error('Invalid audit context:', e);
+    }
+
+    const now = Date.now();
+    const id = `${String(now).padStart(15, '0')}-${base64UrlEncode(crypto.getRandomValues(new Uint8Array(4)))}`;
+
+    await this.state.storage.put(`audit:${id}`, {
+      id,
+      actor: context.actor || { type: 'system' },
+      route: context.route || null,
+      country: context.country || null,
+      changes,
+      timestamp: now
+    });
+  }
+
+  async getAuditLog(url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || CONFIG.AUDIT_PAGE_SIZE, 100);
+    const cursor = url.searchParams.get('cursor');
+
+    const options = { prefix: 'audit:', reverse: true, limit: limit + 1 };
+    if (cursor) options.end = `audit:${cursor}`;
+
+    const entries = [...(await this.state.storage.list(options)).values()];
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    return jsonResponse({
+      entries: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null
+    });
+  }
+
+  deepMerge(target, source) {
+    const result = { ...target };
+    for (const key in source) {
+      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+        result[key] = this.deepMerge(result[key] || {}, source[key]);
+      } else {
+        result[key] = source[key];
+      }
+    }
+    return result;
+  }
+}
+
+// ==================== 数据结构版本 & 迁移 ====================
+// 未带 schemaVersion 的旧数据视为 version 1
+// USER_DATA_MIGRATIONS[N] 负责把 version N 升级到 N + 1，DO 读取旧数据时依次执行并写回
+const USER_DATA_SCHEMA_VERSION = 12;
+
+const USER_DATA_MIGRATIONS = {
+  // v1 → v2：补齐缺省字段，GitHub 用户/仓库对象裁剪为固定结构
+  1: (data) => ({
+    ...data,
+    city: data.city || CONFIG.DEFAULT_CITY,
+    interests: data.interests || [],
+    userBio: data.userBio || '',
+    github: normalizeGitHubUser(data.github, data.username),
+    repos: normalizeRepos(data.repos),
+    aiBio: data.aiBio || null,
+    aiProjectDescriptions: data.aiProjectDescriptions || {},
+    aiQuote: data.aiQuote || null,
+    aiBackgroundUrl: data.aiBackgroundUrl || null,
+    aiCardImageUrl: data.aiCardImageUrl || null,
+    skills: data.skills || [],
+    bookmarks: data.bookmarks || [],
+    timestamps: {
+      created: data.timestamps?.created || null,
+      updated: data.timestamps?.updated || null,
+      textGenerated: data.timestamps?.textGenerated || null,
+      imageGenerated: data.timestamps?.imageGenerated || null,
+      newsUpdated: data.timestamps?.newsUpdated || null,
+      weatherUpdated: data.timestamps?.weatherUpdated || null
+    },
+    cachedNews: data.cachedNews || null,
+    cachedWeather: data.cachedWeather || null
+  }),
+  // v2 → v3：新增所有者设置
+  2: (data) => ({
+    ...data,
+    settings: { ...CONFIG.DEFAULT_SETTINGS, ...data.settings }
+  }),
+  // v3 → v4：新增 AI 文案自动更新周期设置
+  3: (data) => ({
+    ...data,
+    settings: { refreshCadence: CONFIG.DEFAULT_SETTINGS.refreshCadence, ...data.settings }
+  }),
+  // v4 → v5：按字段选择文本模型，并记录已生成内容使用的模型（旧内容均由原默认模型生成）
+  4: (data) => ({
+    ...data,
+    settings: { models: { ...CONFIG.DEFAULT_SETTINGS.models }, ...data.settings },
+    aiModels: Object.fromEntries(
+      Object.entries(AI_HISTORY_FIELDS)
+        .filter(([, dataKey]) => data[dataKey])
+        .map(([field]) => [field, '@cf/meta/llama-3-8b-instruct'])
+    )
+  }),
+  // v5 → v6：多语言 AI 内容，已有内容均为中文
+  5: (data) => ({
+    ...data,
+    settings: { languages: [...CONFIG.DEFAULT_SETTINGS.languages], ...data.settings },
+    aiLanguage: 'zh',
+    aiLocales: {}
+  }),
+  // v6 → v7：简介风格预设，默认值与之前固定的提示词一致
+  6: (data) => ({
+    ...data,
+    settings: { bioStyle: { ...CONFIG.DEFAULT_SETTINGS.bioStyle }, ...data.settings }
+  }),
+  // v7 → v8：手动编辑的 AI 文案可以锁定
+  7: (data) => ({
+    ...data,
+    aiLocks: { bio: false, quote: false, projectDescriptions: {} }
+  }),
+  // v8 → v9：项目描述按仓库指纹缓存，旧数据没有指纹，下次刷新时全部重新生成
+  8: (data) => ({
+    ...data,
+    aiProjectFingerprints: {}
+  }),
+  // v9 → v10：项目描述参考 README 摘要，下次生成时再拉取
+  9: (data) => ({
+    ...data,
+    readmeDigests: {}
+  }),
+  // v10 → v11：语录每天按所有者时区更换
+  10: (data) => ({
+    ...data,
+    settings: {
+      timezone: CONFIG.DEFAULT_SETTINGS.timezone,
+      bannedQuoteStyles: [...CONFIG.DEFAULT_SETTINGS.bannedQuoteStyles],
+      ...data.settings
+    },
+    dailyQuote: null,
+    nextQuote: null
+  }),
+  // v11 → v12：每周 GitHub 动态总结，下次定时刷新时生成
+  11: (data) => ({
+    ...data,
+    weeklyDigest: null
+  })
+};
+
+// 设置项校验：只接受这里列出的键
+const SETTINGS_VALIDATORS = {
+  listedInDirectory: (value) => typeof value === 'boolean',
+  refreshCadence: (value) => typeof value === 'string' && Object.hasOwn(CONFIG.REFRESH_CADENCES, value),
+  models: (value) => !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([field, model]) =>
+      Object.hasOwn(AI_HISTORY_FIELDS, field) && (model === null || Object.hasOwn(CONFIG.TEXT_MODELS, model))),
+  languages: (value) => Array.isArray(value) && value.length > 0 &&
+    new Set(value).size === value.length &&
+    value.every(code => typeof code === 'string' && Object.hasOwn(CONFIG.CONTENT_LANGUAGES, code)),
+  bioStyle: (value) => !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, option]) =>
+      Object.hasOwn(CONFIG.BIO_STYLES, key) && typeof option === 'string' && Object.hasOwn(CONFIG.BIO_STYLES[key], option)),
+  timezone: (value) => typeof value === 'string' && isValidTimeZone(value),
+  // 至少保留一种可用的风格
+  bannedQuoteStyles: (value) => Array.isArray(value) &&
+    new Set(value).size === value.length &&
+    value.length < Object.keys(CONFIG.QUOTE_STYLES).length &&
+    value.every(style => typeof style === 'string' && Object.hasOwn(CONFIG.QUOTE_STYLES, style))
+};
+
+// 返回 { settings } 或 { error }
+function validateSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'settings must be an object' };
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(input)) {
+    const validate = SETTINGS_VALIDATORS[key];
+    if (!validate) {
+      return { error: `未知设置项: ${key}` };
+    }
+    if (!validate(value)) {
+      return { error: `设置项 ${key} 的值无效` };
+    }
+    settings[key] = value;
+  }
+
+  return { settings };
+}
+
+function migrateUserData(data) {
+  let migrated = data;
+  let version = data.schemaVersion || 1;
+
+  while (version < USER_DATA_SCHEMA_VERSION) {
+    migrated = USER_DATA_MIGRATIONS[version](migrated);
+    version += 1;
+    migrated.schemaVersion = version;
+  }
+
+  return migrated;
+}
+
+// 只保留渲染和 AI 生成用到的 GitHub 用户字段
+function normalizeGitHubUser(user, username) {
+  const login = user?.login || username;
+  return {
+    login,
+    name: user?.name || login,
+    avatar_url: user?.avatar_url || '',
+    html_url: user?.html_url || `https://github.com/${login}`,
+    bio: user?.bio || null,
+    company: user?.company || null,
+    blog: user?.blog || null,
+    location: user?.location || null,
+    twitter_username: user?.twitter_username || null,
+    followers: user?.followers || 0,
+    following: user?.following || 0,
+    public_repos: user?.public_repos || 0
+  };
+}
+
+function normalizeRepos(repos) {
+  return (Array.isArray(repos) ? repos : []).map(repo => ({
+    name: repo.name,
+    full_name: repo.full_name || null,
+    html_url: repo.html_url,
+    description: repo.description || null,
+    language: repo.language || null,
+    stargazers_count: repo.stargazers_count || 0,
+    forks_count: repo.forks_count || 0,
+    fork: !!repo.fork,
+    topics: repo.topics || [],
+    pushed_at: repo.pushed_at || null,
+    updated_at: repo.updated_at || null
+  }));
+}
+
+// ==================== AI 内容版本 ====================
+// 历史记录中的字段名 → userData 中的字段
+const AI_HISTORY_FIELDS = {
+  bio: 'aiBio',
+  quote: 'aiQuote',
+  projectDescriptions: 'aiProjectDescriptions'
+};
+
+function createAIVersion(value, model, prompt, createdAt) {
+  return {
+    id: `${createdAt.toString(36)}-${base64UrlEncode(crypto.getRandomValues(new Uint8Array(3)))}`,
+    value,
+    model,
+    prompt,
+    createdAt
+  };
+}
+
+function summarizeAIValue(value) {
+  if (typeof value === 'string') return value.substring(0, 80);
+  if (value?.text) return `${value.text.substring(0, 60)} —— ${value.author || ''}`;
+  return Object.entries(value || {}).map(([name, desc]) => `${name}: ${desc}`).join(' | ').substring(0, 120);
+}
+
+// 从 aiMeta 中取出各字段实际使用的模型
+function getAIModels(aiMeta) {
+  return Object.fromEntries(
+    Object.entries(aiMeta || {})
+      .filter(([field]) => AI_HISTORY_FIELDS[field])
+      .map(([field, meta]) => [field, meta.model])
+  );
+}
+
+// ==================== 手动编辑与锁定 ====================
+// 手动编辑的内容在 aiModels 和版本历史中记为此模型
+const MANUAL_TEXT_MODEL = 'manual';
+
+// aiLocks: { bio, quote, projectDescriptions: { [repo]: true } }，锁定对所有语言生效
+function isAILocked(userData, field, repo) {
+  return field === 'project'
+    ? !!userData.aiLocks.projectDescriptions[repo]
+    : !!userData.aiLocks[field];
+}
+
+// 某种语言当前的 AI 内容，结构与 aiLocales 中的条目相同
+function getLocaleContent(data, code) {
+  if (code !== data.aiLanguage) return data.aiLocales?.[code] || null;
+  return {
+    aiBio: data.aiBio,
+    aiProjectDescriptions: data.aiProjectDescriptions,
+    aiQuote: data.aiQuote,
+    aiModels: data.aiModels
+  };
+}
+
+// 刷新生成的内容中，锁定的字段改回该语言现有的内容（该语言还没有内容时仍使用新生成的）
+function applyAILocks(userData, updates) {
+  const locks = userData.aiLocks;
+  const lockedRepos = Object.keys(locks.projectDescriptions).filter(repo => locks.projectDescriptions[repo]);
+
+  const keepLocked = (content, current) => {
+    if (!current) return content;
+    const kept = {
+      ...content,
+      aiProjectDescriptions: { ...content.aiProjectDescriptions },
+      aiModels: { ...content.aiModels }
+    };
+    for (const field of ['bio', 'quote']) {
+      const dataKey = AI_HISTORY_FIELDS[field];
+      if (locks[field] && current[dataKey]) {
+        kept[dataKey] = current[dataKey];
+        kept.aiModels[field] = current.aiModels?.[field] ?? null;
+      }
+    }
+    for (const repo of lockedRepos) {
+      if (current.aiProjectDescriptions?.[repo]) {
+        kept.aiProjectDescriptions[repo] = current.aiProjectDescriptions[repo];
+      }
+    }
+    return kept;
+  };
+
+  const generated = { ...updates, aiModels: getAIModels(updates.aiMeta) };
+  const primary = keepLocked(getLocaleContent(generated, updates.aiLanguage), getLocaleContent(userData, updates.aiLanguage));
+
+  // 保留下来的字段不产生新的历史版本
+  for (const field of ['bio', 'quote']) {
+    const dataKey = AI_HISTORY_FIELDS[field];
+    if (primary[dataKey] !== updates[dataKey]) delete updates.aiMeta[field];
+  }
+
+  updates.aiBio = primary.aiBio;
+  updates.aiProjectDescriptions = primary.aiProjectDescriptions;
+  updates.aiQuote = primary.aiQuote;
+  updates.aiModels = primary.aiModels;
+
+  updates.aiLocales = Object.fromEntries(
+    Object.entries(updates.aiLocales).map(([code, content]) => [code, keepLocked(content, getLocaleContent(userData, code))])
+  );
+
+  return updates;
+}
+
+// ==================== 文本模型 ====================
+// 字段使用的模型：所有者设置 > 部署默认（环境变量 TEXT_MODEL）> CONFIG.DEFAULT_TEXT_MODEL
+// 指定 language 时跳过不支持该语言的模型，都不支持时改用注册表中第一个支持的模型
+function resolveTextModel(env, field, models = {}, language = null) {
+  const supports = (id) => !!id && !!CONFIG.TEXT_MODELS[id] &&
+    (!language || CONFIG.TEXT_MODELS[id].languages.includes(language));
+  const id = [models[field], env.TEXT_MODEL, CONFIG.DEFAULT_TEXT_MODEL].find(supports) ||
+    Object.keys(CONFIG.TEXT_MODELS).find(supports) ||
+    CONFIG.DEFAULT_TEXT_MODEL;
+  return { id, ...CONFIG.TEXT_MODELS[id] };
+}
+
+// ==================== 简介风格 ====================
+// 把 settings.bioStyle 展开为 CONFIG.BIO_STYLES 中的预设，缺省项使用默认风格
+function resolveBioStyle(style = {}) {
+  const resolved = {};
+  for (const [key, options] of Object.entries(CONFIG.BIO_STYLES)) {
+    const id = Object.hasOwn(options, style[key]) ? style[key] : CONFIG.DEFAULT_SETTINGS.bioStyle[key];
+    resolved[key] = { id, ...options[id] };
+  }
+  return resolved;
+}
+
+// ==================== 内容语言 ====================
+// 页面可展示的语言：所有者启用且已生成内容的语言，主语言在前
+function getAvailableLocales(data) {
+  const generated = new Set([data.aiLanguage, ...Object.keys(data.aiLocales)]);
+  const locales = data.settings.languages.filter(code => generated.has(code));
+  return locales.length > 0 ? locales : [data.aiLanguage];
+}
+
+// 访问者偏好的语言：?lang= 优先，其次是 Accept-Language 中权重最高的受支持语言
+function getPreferredLanguage(request) {
+  const lang = new URL(request.url).searchParams.get('lang');
+  if (lang && CONFIG.CONTENT_LANGUAGES[lang]) return lang;
+
+  const ranked = (request.headers.get('Accept-Language') || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { code: tag.split('-')[0].toLowerCase(), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(entry => CONFIG.CONTENT_LANGUAGES[entry.code] && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return ranked[0]?.code || null;
+}
+
+// 偏好语言未启用时回退到主语言
+function selectLocale(data, preferred) {
+  const locales = getAvailableLocales(data);
+  return locales.includes(preferred) ? preferred : locales[0];
+}
+
+// 用指定语言的 AI 内容替换顶层字段，供渲染使用
+function localizeUserData(data, locale) {
+  if (locale === data.aiLanguage || !data.aiLocales[locale]) return data;
+  return { ...data, ...data.aiLocales[locale] };
+}
+
+// options 会合并进模型输入（如 response_format）
+async function runTextModel(ai, model, prompt, maxTokens, options = {}) {
+  const max_tokens = Math.min(maxTokens, model.maxTokens);
+
+  // 按 1 字符 ≈ 1 token 粗略估算（中文偏保守），超出上下文时直接报错而不是让模型截断
+  if (prompt.length + max_tokens > model.contextWindow) {
+    throw new Error(`提示词超出 ${model.name} 的上下文长度（${model.contextWindow} tokens）`);
+  }
+
+  return await ai.run(model.id, {
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens,
+    ...options
+  });
+}
+
+// ==================== 结构化 AI 输出 ====================
+// 按 JSON Schema 生成并用 validate(output) 校验（返回问题列表），不合格时把问题反馈给模型重新生成
+// 超过 AI_OUTPUT_MAX_ATTEMPTS 次仍不合格时抛出错误；每次调用的校验结果都会记录日志，便于调整提示词
+async function runStructuredTextModel(ai, model, prompt, { label, schema, maxTokens, validate }) {
+  const maxAttempts = CONFIG.AI_OUTPUT_MAX_ATTEMPTS;
+  const options = model.jsonMode ? { response_format: { type: 'json_schema', json_schema: schema } } : {};
+  const failures = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const feedback = failures.length > 0
+      ? `\n\n上一次的输出不符合要求：${failures[failures.length - 1].join('；')}。请修正后重新输出。`
+      : '';
+    const response = await runTextModel(ai, model, prompt + feedback, maxTokens, options);
+    const output = parseStructuredOutput(response.response);
+    const problems = output ? validate(output) : ['输出不是有效的 JSON 对象'];
+
+    if (problems.length === 0) {
+      logAIOutput({ label, model: model.id, ok: true, attempts: attempt, failures });
+      return output;
+    }
+    failures.push(problems);
+  }
+
+  logAIOutput({ label, model: model.id, ok: false, attempts: maxAttempts, failures });
+  throw new Error(`AI 输出校验失败（${label}，${model.name}，已尝试 ${maxAttempts} 次）：${failures[failures.length - 1].join('；')}`);
+}
+
+// JSON 模式下 response 已是对象；其他模型取文本中第一个 { 到最后一个 } 之间的内容解析
+function parseStructuredOutput(response) {
+  if (response && typeof response === 'object') return response;
+  if (typeof response !== 'string') return null;
+
+  const start = response.indexOf('{');
+  const end = response.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(response.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function logAIOutput(entry) {
+  const log = entry.ok && entry.failures.length === 0 ? console.log : console.warn;
+  log(JSON.stringify({ event: 'ai_output', ...entry }));
+}
+
+// 通用文本校验：长度、语言、禁用词，返回问题列表
+function validateAIText(text, language, range) {
+  if (!text) return ['内容为空'];
+
+  const problems = [];
+  const { name, unit, script } = CONFIG.CONTENT_LANGUAGES[language];
+  const size = countTextLength(text, unit);
+  const tolerance = CONFIG.AI_LENGTH_TOLERANCE;
+
+  if (size < Math.floor(range[0] * (1 - tolerance)) || size > Math.ceil(range[1] * (1 + tolerance))) {
+    problems.push(`长度为 ${size}，要求 ${describeLength(range, language)}`);
+  }
+
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length > 0 && letters.filter(c => script.test(c)).length / letters.length < CONFIG.AI_LANGUAGE_MIN_RATIO) {
+    problems.push(`没有使用${name}`);
+  }
+
+  const lower = text.toLowerCase();
+  for (const phrase of CONFIG.AI_FORBIDDEN_PHRASES) {
+    if (lower.includes(phrase.toLowerCase())) problems.push(`包含禁用词「${phrase}」`);
+  }
+
+  return problems;
+}
+
+function countTextLength(text, unit) {
+  return unit === 'words'
+    ? text.split(/\s+/).filter(Boolean).length
+    : [...text.replace(/\s/g, '')].length;
+}
+
+function describeLength([min, max], language) {
+  return CONFIG.CONTENT_LANGUAGES[language].unit === 'words' ? `${min}-${max} 个单词` : `${min}-${max}字`;
+}
+
+function stripQuoteMarks(text) {
+  return text.trim().replace(/^["“”「」『』']+|["“”「」『』']+$/g, '').trim();
+}
+
+// ==================== Slug 注册表 Durable Object ====================
+// 全局单例：slug → 所有者，保证唯一；所有者更换 slug 后旧 slug 保留为别名（301 跳转）
+export class SlugRegistryDurableObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    try {
+      switch (url.pathname) {
+        case '/resolve':
+          return await this.resolve(url.searchParams.get('slug'));
+        case '/assign':
+          return await this.assign(request);
+        case '/release':
+          return await this.release(request);
+        case '/owners':
+          return await this.listOwners(url);
+        default:
+          return new Response('Not Found', { status: 404 });
+      }
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  async resolve(slug) {
+    const entry = await this.state.storage.get(`slug:${slug}`);
+    if (!entry) {
+      return jsonResponse({ error: 'Slug not found' }, 404);
+    }
+
+    const owner = await this.state.storage.get(`owner:${entry.owner}`);
+    return jsonResponse({ username: owner.username, slug: owner.slug, isAlias: owner.slug !== slug });
+  }
+
+  // 把 slug 设为所有者的主 slug，原主 slug 转为别名
+  async assign(request) {
+    const { username, slug } = await request.json();
+    const ownerKey = username.toLowerCase();
+
+    const existing = await this.state.storage.get(`slug:${slug}`);
+    if (existing && existing.owner !== ownerKey) {
+      return jsonResponse({ error: '该链接已被其他用户占用' }, 409);
+    }
+
+    const owner = (await this.state.storage.get(`owner:${ownerKey}`)) || { aliases: [] };
+    const aliases = new Set(owner.aliases);
+    if (owner.slug && owner.slug !== slug) aliases.add(owner.slug);
+    aliases.delete(slug);
+
+    const record = { username, slug, aliases: [...aliases] };
+
+    await this.state.storage.put({
+      [`slug:${slug}`]: { owner: ownerKey, createdAt: existing?.createdAt || Date.now() },
+      [`owner:${ownerKey}`]: record
+    });
+
+    return jsonResponse({ success: true, ...record });
+  }
+
+  async release(request) {
+    const { username } = await request.json();
+    const ownerKey = username.toLowerCase();
+    const owner = await this.state.storage.get(`owner:${ownerKey}`);
+
+    if (!owner) {
+      return jsonResponse({ success: true, released: 0 });
+    }
+
+    const slugs = [owner.slug, ...owner.aliases].filter(Boolean);
+    await this.state.storage.delete([...slugs.map(slug => `slug:${slug}`), `owner:${ownerKey}`]);
+
+    return jsonResponse({ success: true, released: slugs.length });
+  }
+
+  // 按用户名分页列出所有页面所有者（供 Cron 遍历）
+  async listOwners(url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || CONFIG.SCHEDULE_SWEEP_BATCH, 500);
+    const cursor = url.searchParams.get('cursor');
+
+    const options = { prefix: 'owner:', limit: limit + 1 };
+    if (cursor) options.startAfter = `owner:${cursor}`;
+
+    const owners = [...(await this.state.storage.list(options)).values()];
+    const hasMore = owners.length > limit;
+    const page = owners.slice(0, limit).map(owner => owner.username);
+
+    return jsonResponse({
+      owners: page,
+      nextCursor: hasMore ? page[page.length - 1].toLowerCase() : null
+    });
+  }
+}
+
+// ==================== 公开目录 Durable Object ====================
+// 全局单例，保存选择公开的页面摘要，支持按技能 / 兴趣 / 城市筛选
+export class DirectoryDurableObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    try {
+      switch (url.pathname) {
+        case '/upsert':
+          return await this.upsert(request);
+        case '/remove':
+          return await this.remove(request);
+        case '/search':
+          return await this.search(url);
+        default:
+          return new Response('Not Found', { status: 404 });
+      }
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  async upsert(request) {
+    const entry = await request.json();
+    await this.state.storage.put(`entry:${entry.username.toLowerCase()}`, entry);
+    return jsonResponse({ success: true });
+  }
+
+  async remove(request) {
+    const { username } = await request.json();
+    await this.state.storage.delete(`entry:${username.toLowerCase()}`);
+    return jsonResponse({ success: true });
+  }
+
+  async search(url) {
+    const params = url.searchParams;
+    const matches = (list, value) => !value || list.some(item => item.toLowerCase() === value.toLowerCase());
+    const city = (params.get('city') || '').toLowerCase();
+    const q = (params.get('q') || '').toLowerCase();
+
+    const entries = [...(await this.state.storage.list({ prefix: 'entry:' })).values()]
+      .filter(e => matches(e.skills, params.get('skill')))
+      .filter(e => matches(e.interests, params.get('interest')))
+      .filter(e => !city || e.city.toLowerCase().includes(city))
+      .filter(e => !q || `${e.username} ${e.name} ${e.bio}`.toLowerCase().includes(q));
+
+    if (params.get('sort') === 'updated') {
+      entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    } else {
+      entries.sort((a, b) => b.stars - a.stars);
+    }
+
+    const limit = Math.min(parseInt(params.get('limit')) || CONFIG.DIRECTORY_PAGE_SIZE, 100);
+    const page = Math.max(parseInt(params.get('page')) || 1, 1);
+
+    return jsonResponse({
+      total: entries.length,
+      page,
+      limit,
+      results: entries.slice((page - 1) * limit, page * limit)
+    });
+  }
+}
+
+// 目录中保存的页面摘要
+function buildDirectoryEntry(userData) {
+  return {
+    username: userData.username,
+    slug: userData.slug,
+    name: userData.github.name,
+    avatar: userData.github.avatar_url,
+    bio: (userData.aiBio || '').substring(0, 120),
+    skills: userData.skills,
+    interests: userData.interests,
+    city: userData.city,
+    stars: userData.repos.filter(r => !r.fork).reduce((sum, r) => sum + r.stargazers_count, 0),
+    updatedAt: userData.timestamps.textGenerated || userData.timestamps.created || 0
+  };
+}
+
+// ==================== 速率限制 Durable Object ====================
+// 每个实例对应一个 "路由:维度:值" 的滑动窗口计数
+export class RateLimiterDurableObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.hits = null;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname !== '/check') {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    // record 为 false 时只检查不计数，用于多个桶同时通过后再一起计数
+    const { limit, window, record = true } = await request.json();
+    const now = Date.now();
+
+    if (!this.hits) {
+      this.hits = (await this.state.storage.get('hits')) || [];
+    }
+    this.hits = this.hits.filter(t => now - t < window);
+
+    if (this.hits.length >= limit) {
+      const retryAfter = Math.max(1, Math.ceil((this.hits[0] + window - now) / 1000));
+      return jsonResponse({ allowed: false, limit, remaining: 0, retryAfter });
+    }
+    if (!record) {
+      return jsonResponse({ allowed: true, limit, remaining: limit - this.hits.length, retryAfter: 0 });
+    }
+
+    this.hits.push(now);
+    await this.state.storage.put('hits', this.hits);
+    // 窗口结束后清理存储
+    await this.state.storage.setAlarm(now + window);
+
+    return jsonResponse({ allowed: true, limit, remaining: limit - this.hits.length, retryAfter: 0 });
+  }
+
+  async alarm() {
+    this.hits = null;
+    await this.state.storage.deleteAll();
+  }
+}
+
+// ==================== 主 Worker ====================
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    if (request.method === 'OPTIONS') {
+      return handleCORS();
+    }
+
+    try {
+      if (path === '/' || path === '/index.html') {
+        return serveEntryPage(await getSession(request, env));
+      }
+
+      if (path.startsWith('/auth/')) {
+        return await handleAuth(request, env, path);
+      }
+
+      if (path.startsWith('/api/')) {
+        return await handleAPI(request, env, path, ctx);
+      }
+
+      if (path === '/explore') {
+        return await handleExplorePage(request, env);
+      }
+
+      if (path.startsWith('/p/') || path.startsWith('/@')) {
+        return await handlePortfolioPage(request, env, path, ctx);
+      }
+
+      if (path.startsWith('/assets/')) {
+        return await serveR2Asset(env, path);
+      }
+
+      return new Response('Not Found', { status: 404 });
+    } catch (error) {
+      console.error('Worker Error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  },
+
+  // Cron Trigger：实际刷新由各页面 DO 的 alarm 完成，这里只为缺少 alarm 的页面补上
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(ensureRefreshSchedules(env));
+  }
+};
+
+// ==================== 定时刷新 ====================
+async function ensureRefreshSchedules(env) {
+  const registry = getSlugRegistry(env);
+  let cursor = null;
+  let checked = 0;
+
+  do {
+    const query = new URLSearchParams({ limit: CONFIG.SCHEDULE_SWEEP_BATCH });
+    if (cursor) query.set('cursor', cursor);
+
+    const res = await registry.fetch(new Request(`http://registry/owners?${query}`));
+    const { owners, nextCursor } = await res.json();
+
+    await Promise.all(owners.map(async (username) => {
+      try {
+        const doStub = env.USER_DO.get(env.USER_DO.idFromName(username.toLowerCase()));
+        await doStub.fetch(new Request('http://do/schedule', { method: 'POST' }));
+      } catch (e) {
+        console.error(`Schedule check failed for ${username}:`, e);
+      }
+    }));
+
+    checked += owners.length;
+    cursor = nextCursor;
+  } while (cursor);
+
+  console.log(`Refresh schedules checked: ${checked}`);
+}
+
+// 返回缓存已过期（或缺失）的仪表盘组件：'weather'、'news'
+function getStaleWidgets(userData, now = Date.now()) {
+  const stale = [];
+  if (!userData.cachedWeather || now - userData.timestamps.weatherUpdated > CONFIG.CACHE_TTL_WEATHER) {
+    stale.push('weather');
+  }
+  if (!userData.cachedNews || now - userData.timestamps.newsUpdated > CONFIG.CACHE_TTL_NEWS) {
+    stale.push('news');
+  }
+  return stale;
+}
+
+// 缓存过期时在响应返回后后台刷新，不阻塞当前访问
+function revalidateInBackground(ctx, doStub, userData) {
+  if (getStaleWidgets(userData).length === 0) return;
+
+  ctx.waitUntil(
+    doStub.fetch(new Request('http://do/revalidate', { method: 'POST' }))
+      .catch(e => console.error('Revalidate error:', e))
+  );
+}
+
+// 重新拉取 GitHub 数据、新闻和天气，regenerateAI 时同时重新生成 AI 文案
+// 返回可直接传给 DO /update 的字段（aiMeta 由 DO 写入版本历史）
+async function buildRefreshUpdates(env, userData, { githubData, regenerateAI = true } = {}) {
+  if (!githubData) {
+    githubData = await fetchGitHubData(userData.username, env);
+  }
+
+  const updates = {
+    github: githubData.user,
+    repos: githubData.repos
+  };
+
+  if (regenerateAI) {
+    const aiContent = await generateAllAIContent(env, githubData, userData.userBio, userData.interests, {
+      models: userData.settings.models,
+      languages: userData.settings.languages,
+      bioStyle: userData.settings.bioStyle,
+      previous: userData
+    });
+    Object.assign(updates, {
+      aiBio: aiContent.bio,
+      aiProjectDescriptions: aiContent.projectDescriptions,
+      aiQuote: aiContent.quote,
+      aiMeta: aiContent.meta,
+      aiLanguage: aiContent.language,
+      aiLocales: aiContent.locales,
+      aiProjectFingerprints: aiContent.projectFingerprints,
+      readmeDigests: aiContent.readmeDigests,
+      skills: aiContent.skills
+    });
+    // 每日语录由定时任务轮换，刷新时和锁定一样保留当天的语录
+    applyAILocks(userData.dailyQuote ? { ...userData, aiLocks: { ...userData.aiLocks, quote: true } } : userData, updates);
+  }
+
+  updates.cachedNews = await fetchRealNews(userData.interests);
+  updates.cachedWeather = await fetchWeather(env, userData.city);
+
+  const now = Date.now();
+  updates.timestamps = { newsUpdated: now, weatherUpdated: now };
+  if (regenerateAI) updates.timestamps.textGenerated = now;
+
+  return updates;
+}
+
+// 可单独重新生成的字段
+const REGENERATE_FIELDS = ['bio', 'quote', 'project', 'background', 'card'];
+
+// 只生成一个字段，返回交给 DO /update 的增量（生成失败时抛出，不写入任何内容）
+async function buildRegenerateUpdates(env, userData, { field, repo, language }) {
+  const { github, repos, skills, userBio, interests, username } = userData;
+  const models = userData.settings.models;
+
+  switch (field) {
+    case 'bio': {
+      const model = resolveTextModel(env, 'bio', models, language);
+      const bio = await generateAIBio(env.AI, model, github, userBio, repos, language, userData.settings.bioStyle);
+      return buildAIFieldUpdates(userData, language, 'bio', bio);
+    }
+    case 'quote': {
+      const model = resolveTextModel(env, 'quote', models, language);
+      const quote = await generateAIQuote(env.AI, model, github, interests, skills, language, userData.settings.bioStyle);
+      return buildAIFieldUpdates(userData, language, 'quote', quote);
+    }
+    case 'project': {
+      const model = resolveTextModel(env, 'projectDescriptions', models, language);
+      const target = repos.find(r => r.name === repo);
+      const readme = await fetchReadmeDigest(env, github.login, target, userData.readmeDigests?.[repo]);
+      const description = await generateAIProjectDescription(env.AI, model, target, language, readme.digest);
+      // deepMerge 只覆盖这个仓库的描述；README 摘要整体替换，需要带上其他仓库的
+      return {
+        ...buildAIFieldUpdates(userData, language, 'projectDescriptions', {
+          value: { [repo]: description.value },
+          model: description.model,
+          prompt: { [repo]: description.prompt }
+        }),
+        readmeDigests: { ...userData.readmeDigests, [repo]: readme }
+      };
+    }
+    case 'background':
+      return {
+        aiBackgroundUrl: await generateBackgroundImage(env, username, skills),
+        timestamps: { imageGenerated: Date.now() }
+      };
+    case 'card':
+      return { aiCardImageUrl: await generateCardImage(env, username, github, skills) };
+  }
+}
+
+// 主语言写顶层字段并记录版本历史，其他语言写入 aiLocales
+function buildAIFieldUpdates(userData, language, field, generated) {
+  const dataKey = AI_HISTORY_FIELDS[field];
+
+  if (language === userData.aiLanguage) {
+    return {
+      [dataKey]: generated.value,
+      aiMeta: { [field]: { model: generated.model, prompt: generated.prompt } }
+    };
+  }
+
+  return {
+    aiLocales: {
+      [language]: { [dataKey]: generated.value, aiModels: { [field]: generated.model } }
+    }
+  };
+}
+
+// ==================== 页面缓存（Cache API）====================
+// 只缓存匿名访问的页面；/p/{slug} 与 /@{username} 共用以用户名为键的缓存，并区分访问者偏好语言
+// version 为 DO 中的 pageVersion，写入后换新键，旧副本不再命中（见 UserDurableObject.purgePageCache）
+function pageCacheKey(username, variant, language, version) {
+  return new Request(`${CONFIG.PAGE_CACHE_ORIGIN}/${variant}/${encodeURIComponent(username.toLowerCase())}?lang=${language || ''}&v=${version}`);
+}
+
+// 写入缓存（cacheKey 为 null 时只加响应头）并返回带 ETag / Last-Modified 的响应
+async function cachePageResponse(request, ctx, cacheKey, response, userData) {
+  const html = await response.text();
+  const headers = new Headers(response.headers);
+  headers.set('ETag', `"${(await sha256Hex(html)).slice(0, 32)}"`);
+  headers.set('Last-Modified', new Date(userData.timestamps.updated || Date.now()).toUTCString());
+  headers.set('Cache-Control', `public, max-age=${CONFIG.PAGE_CACHE_TTL}`);
+  headers.set('Vary', 'Accept-Language');
+
+  if (cacheKey) {
+    ctx.waitUntil(caches.default.put(cacheKey, new Response(html, { status: response.status, headers })));
+  }
+
+  return withConditionalGet(request, new Response(html, { status: response.status, headers }));
+}
+
+// 浏览器每次都带条件请求验证，内容未变时返回 304
+function withConditionalGet(request, response) {
+  const headers = new Headers(response.headers);
+  headers.set('Cache-Control', 'public, max-age=0, must-revalidate');
+
+  const etag = headers.get('ETag');
+  const lastModified = headers.get('Last-Modified');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+
+  // Cloudflare 压缩响应时会把 ETag 改为弱校验，比较时忽略 W/ 前缀
+  const stripWeak = (tag) => tag.trim().replace(/^W\//, '');
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').some(tag => tag.trim() === '*' || stripWeak(tag) === stripWeak(etag || ''))
+    : !!ifModifiedSince && !!lastModified && Date.parse(lastModified) <= Date.parse(ifModifiedSince);
+
+  if (notModified) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(response.body, { status: response.status, headers });
+}
+
+// ==================== CORS 处理 ====================
+function handleCORS() {
+  return new Response(null, {
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
+
+// ==================== 速率限制 ====================
+// 按客户端 IP 和目标用户名分别计数，超限时返回 429 + Retry-After
+async function enforceRateLimit(request, env, route, username) {
+  const rules = getRateLimits(env)[route];
+  if (!rules || !env.RATE_LIMITER) return null;
+
+  const keys = [];
+  if (rules.ip) {
+    keys.push({ key: `${route}:ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`, rule: rules.ip });
+  }
+  if (rules.user && username) {
+    keys.push({ key: `${route}:user:${username.toLowerCase()}`, rule: rules.user });
+  }
+
+  const check = (record) => Promise.all(keys.map(async ({ key, rule }) => {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+    const res = await stub.fetch(new Request('http://do/check', {
+      method: 'POST',
+      body: JSON.stringify({ ...rule, record })
+    }));
+    return res.json();
+  }));
+
+  // 先检查全部桶，都通过后才计数：被 IP 或用户桶拦下的请求不占用另一个桶的配额
+  let results = await check(false);
+  if (results.every(r => r.allowed)) results = await check(true);
+
+  const blocked = results.filter(r => !r.allowed);
+  if (blocked.length === 0) return null;
+
+  const retryAfter = Math.max(...blocked.map(r => r.retryAfter));
+  const response = jsonResponse({
+    error: `请求过于频繁，请在 ${retryAfter} 秒后重试`,
+    retryAfter
+  }, 429);
+  response.headers.set('Retry-After', String(retryAfter));
+  response.headers.set('X-RateLimit-Limit', String(Math.min(...blocked.map(r => r.limit))));
+  response.headers.set('X-RateLimit-Remaining', '0');
+  return response;
+}
+
+function getRateLimits(env) {
+  if (!env.RATE_LIMITS) return CONFIG.RATE_LIMITS;
+
+  try {
+    const overrides = typeof env.RATE_LIMITS === 'string' ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+    return { ...CONFIG.RATE_LIMITS, ...overrides };
+  } catch (e) {
+    console.error('Invalid RATE_LIMITS config:', e);
+    return CONFIG.RATE_LIMITS;
+  }
+}
+
+// ==================== GitHub OAuth 登录 ====================
+// 需要配置: GITHUB_CLIENT_ID / GITHUB_CLIENT_SECRET / SESSION_SECRET
+async function handleAuth(request, env, path) {
+  switch (path) {
+    case '/auth/login':
+      return handleAuthLogin(request, env);
+    case '/auth/callback':
+      return await handleAuthCallback(request, env);
+    case '/auth/logout':
+      return handleAuthLogout(request);
+    default:
+      return new Response('Not Found', { status: 404 });
+  }
+}
+
+function handleAuthLogin(request, env) {
+  if (!env.GITHUB_CLIENT_ID || !env.GITHUB_CLIENT_SECRET || !env.SESSION_SECRET) {
+    return jsonResponse({ error: 'GitHub OAuth 未配置，请设置 GITHUB_CLIENT_ID、GITHUB_CLIENT_SECRET 和 SESSION_SECRET' }, 500);
+  }
+
+  const url = new URL(request.url);
+  const returnTo = getSafeReturnPath(url.searchParams.get('return_to'), request);
+  const state = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+
+  const authorizeUrl = new URL('https://github.com/login/oauth/authorize');
+  authorizeUrl.searchParams.set('client_id', env.GITHUB_CLIENT_ID);
+  authorizeUrl.searchParams.set('redirect_uri', `${url.origin}/auth/callback`);
+  authorizeUrl.searchParams.set('state', state);
+  authorizeUrl.searchParams.set('allow_signup', 'true');
+
+  const headers = new Headers({ Location: authorizeUrl.toString() });
+  headers.append('Set-Cookie', buildCookie(CONFIG.OAUTH_STATE_COOKIE, `${state}|${returnTo}`, {
+    maxAge: CONFIG.OAUTH_STATE_TTL,
+    path: '/auth'
+  }));
+
+  return new Response(null, { status: 302, headers });
+}
+
+async function handleAuthCallback(request, env) {
+  const url = new URL(request.url);
+  const code = url.searchParams.get('code');
+  const state = url.searchParams.get('state');
+
+  const [expectedState, returnTo = '/'] = (getCookie(request, CONFIG.OAUTH_STATE_COOKIE) || '').split('|');
+
+  if (!code || !state || !expectedState || state !== expectedState) {
+    return jsonResponse({ error: 'OAuth state 校验失败，请重新登录' }, 400);
+  }
+
+  // 1. 用 code 换取 access token
+  const tokenRes = await fetch('https://github.com/login/oauth/access_token', {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'User-Agent': 'MyEdge-Portfolio'
+    },
+    body: JSON.stringify({
+      client_id: env.GITHUB_CLIENT_ID,
+      client_secret: env.GITHUB_CLIENT_SECRET,
+      code,
+      redirect_uri: `${url.origin}/auth/callback`
+    })
+  });
+  const tokenData = await tokenRes.json();
+
+  if (!tokenData.access_token) {
+    return jsonResponse({ error: `GitHub 授权失败: ${tokenData.error_description || tokenData.error || tokenRes.status}` }, 401);
+  }
+
+  // 2. 获取登录用户信息
+  const userRes = await fetch('https://api.github.com/user', {
+    headers: {
+      'Authorization': `Bearer ${tokenData.access_token}`,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'MyEdge-Portfolio'
+    }
+  });
+
+  if (!userRes.ok) {
+    return jsonResponse({ error: `GitHub 用户信息获取失败: ${userRes.status}` }, 401);
+  }
+
+  const githubUser = await userRes.json();
+
+  // 3. 签发会话 Cookie（只保存 login，不保存 GitHub access token）
+  const session = await createSessionToken(env, {
+    login: githubUser.login,
+    exp: Date.now() + CONFIG.SESSION_TTL
+  });
+
+  const headers = new Headers({ Location: getSafeReturnPath(returnTo, request) });
+  headers.append('Set-Cookie', buildCookie(CONFIG.SESSION_COOKIE, session, {
+    maxAge: Math.floor(CONFIG.SESSION_TTL / 1000)
+  }));
+  headers.append('Set-Cookie', buildCookie(CONFIG.OAUTH_STATE_COOKIE, '', { maxAge: 0, path: '/auth' }));
+
+  return new Response(null, { status: 302, headers });
+}
+
+function handleAuthLogout(request) {
+  const url = new URL(request.url);
+  const headers = new Headers({ Location: getSafeReturnPath(url.searchParams.get('return_to'), request) });
+  headers.append('Set-Cookie', buildCookie(CONFIG.SESSION_COOKIE, '', { maxAge: 0 }));
+  return new Response(null, { status: 302, headers });
+}
+
+// 读取并校验会话，返回 { login } 或 null
+async function getSession(request, env) {
+  const token = getCookie(request, CONFIG.SESSION_COOKIE);
+  if (!token || !env.SESSION_SECRET) return null;
+
+  const [payloadPart, signaturePart] = token.split('.');
+  if (!payloadPart || !signaturePart) return null;
+
+  try {
+    const key = await getSessionKey(env);
+    const valid = await crypto.subtle.verify(
+      'HMAC', key, base64UrlDecode(signaturePart), new TextEncoder().encode(payloadPart)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(payloadPart)));
+    if (!payload.login || !payload.exp || payload.exp < Date.now()) return null;
+
+    return { login: payload.login };
+  } catch (e) {
+    return null;
+  }
+}
+
+// 识别请求身份：Bearer API Token 优先，其次是会话 Cookie
+// 返回 { actor } / { error: Response } / {}（匿名）；同一请求只校验一次
+const authCache = new WeakMap();
+
+function authenticate(request, env) {
+  if (!authCache.has(request)) {
+    authCache.set(request, resolveActor(request, env));
+  }
+  return authCache.get(request);
+}
+
+async function resolveActor(request, env) {
+  const authHeader = request.headers.get('Authorization') || '';
+
+  if (authHeader.startsWith('Bearer ')) {
+    const actor = await verifyApiToken(env, authHeader.slice(7).trim());
+    if (!actor) {
+      return { error: jsonResponse({ error: 'API Token 无效、已撤销或已过期' }, 401) };
+    }
+    return { actor };
+  }
+
+  const session = await getSession(request, env);
+  if (session) {
+    return { actor: { type: 'session', login: session.login, scopes: CONFIG.API_TOKEN_SCOPES } };
+  }
+
+  return {};
+}
+
+// Token 格式: mye_{login}_{secret}（GitHub 用户名不含下划线）
+async function verifyApiToken(env, token) {
+  const [prefix, login, ...secretParts] = token.split('_');
+  if (prefix !== CONFIG.API_TOKEN_PREFIX || !login || secretParts.length === 0) {
+    return null;
+  }
+
+  const doId = env.USER_DO.idFromName(login.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/tokens/verify', {
+    method: 'POST',
+    body: JSON.stringify({ hash: await sha256Hex(token) })
+  }));
+  const result = await res.json();
+
+  if (!result.valid) return null;
+
+  return { type: 'token', login, tokenId: result.id, scopes: result.scopes };
+}
+
+// 校验当前身份是否为页面所有者且具备所需权限，失败时返回 { error: Response }
+async function requireOwner(request, env, username, scope = 'write') {
+  const { actor, error } = await authenticate(request, env);
+
+  if (error) return { error };
+
+  if (!actor) {
+    return { error: jsonResponse({ error: '请先使用 GitHub 登录或提供 API Token' }, 401) };
+  }
+
+  if (!isSameLogin(actor.login, username)) {
+    return { error: jsonResponse({ error: '只有页面所有者可以执行此操作' }, 403) };
+  }
+
+  if (!actor.scopes.includes(scope)) {
+    return { error: jsonResponse({ error: `API Token 缺少 ${scope} 权限` }, 403) };
+  }
+
+  return { actor };
+}
+
+// 传给 Durable Object 的审计上下文（谁、通过哪个路由、来自哪个国家）
+function auditHeaders(request, actor, route) {
+  return {
+    'X-Audit-Context': JSON.stringify({
+      actor: actor ? { type: actor.type, login: actor.login, tokenId: actor.tokenId || null } : { type: 'system' },
+      route,
+      country: request.cf?.country || null
+    })
+  };
+}
+
+function isSameLogin(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+async function createSessionToken(env, payload) {
+  const payloadPart = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await getSessionKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payloadPart));
+  return `${payloadPart}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+function getSessionKey(env) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.SESSION_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// 只允许站内相对路径，防止开放重定向
+// 浏览器会忽略 URL 中的制表符、换行等字符（"/\t/evil.com" 会被当作 "//evil.com"），
+// 因此拒绝所有控制字符和空白，再按当前站点解析，返回规范化后的路径和查询串
+function getSafeReturnPath(path, request) {
+  if (!path || !path.startsWith('/') || path.startsWith('//') || /[\\\s\x00-\x1f\x7f]/.test(path)) {
+    return '/';
+  }
+
+  const origin = new URL(request.url).origin;
+  try {
+    const resolved = new URL(path, origin);
+    return resolved.origin === origin ? resolved.pathname + resolved.search : '/';
+  } catch {
+    return '/';
+  }
+}
+
+function getCookie(request, name) {
+  const cookieHeader = request.headers.get('Cookie') || '';
+  for (const part of cookieHeader.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join('='));
+      } catch {
+        return null; // 编码损坏的 Cookie 视为不存在，不能让整站报错
+      }
+    }
+  }
+  return null;
+}
+
+function buildCookie(name, value, { maxAge, path = '/' } = {}) {
+  const parts = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    'HttpOnly',
+    'Secure',
+    'SameSite=Lax'
+  ];
+  if (maxAge !== undefined) parts.push(`Max-Age=${maxAge}`);
+  return parts.join('; ');
+}
+
+// ==================== API 处理 ====================
+async function handleAPI(request, env, path, ctx) {
+  const apiPath = path.replace('/api', '');
+
+  // 携带了 Authorization 头但 Token 无效时直接拒绝，便于脚本排查
+  const { error: authError } = await authenticate(request, env);
+  if (authError) return authError;
+
+  switch (true) {
+    case apiPath === '/generate':
+      return await handleGenerate(request, env, ctx);
+    case apiPath.startsWith('/user/'):
+      return await handleGetUser(request, env, apiPath, ctx);
+    case apiPath === '/refresh':
+      return await handleRefresh(request, env);
+    case apiPath === '/regenerate':
+      return await handleRegenerate(request, env);
+    case apiPath === '/ai-content':
+      return await handleEditAIContent(request, env);
+    case apiPath === '/bookmarks/update':
+      return await handleUpdateBookmarks(request, env);
+    case apiPath === '/account/export':
+      return await handleExportAccount(request, env);
+    case apiPath === '/account/delete':
+      return await handleDeleteAccount(request, env);
+    case apiPath === '/settings':
+      return await handleUpdateSettings(request, env);
+    case apiPath === '/bio-style/preview':
+      return await handlePreviewBioStyle(request, env);
+    case apiPath === '/directory':
+      return await handleDirectory(request, env);
+    case apiPath === '/models':
+      return handleListModels(env);
+    case apiPath === '/slug':
+      return await handleClaimSlug(request, env);
+    case apiPath === '/ai-history':
+      return await handleAIHistory(request, env);
+    case apiPath === '/ai-history/restore':
+      return await handleRestoreAIVersion(request, env);
+    case apiPath === '/audit':
+      return await handleAuditLog(request, env);
+    case apiPath === '/refresh-runs':
+      return await handleRefreshRuns(request, env);
+    case apiPath === '/quotes':
+      return await handleQuoteHistory(request, env);
+    case apiPath === '/quotes/favorite':
+      return await handleFavoriteQuote(request, env);
+    case apiPath === '/digests':
+      return await handleWeeklyDigests(request, env);
+    case apiPath === '/news/feedback':
+      return await handleNewsFeedback(request, env);
+    case apiPath === '/tokens':
+      return await handleTokens(request, env);
+    case apiPath === '/tokens/revoke':
+      return await handleRevokeToken(request, env);
+    case apiPath === '/weather':
+      return await handleWeather(request, env);
+    case apiPath === '/news':
+      return await handleNews(request, env);
+    case apiPath === '/debug':
+      return await handleDebug(request, env);
+    case apiPath === '/location':
+      return handleLocation(request);
+    default:
+      return new Response('API Not Found', { status: 404 });
+  }
+}
+
+// ==================== 获取用户位置 ====================
+function handleLocation(request) {
+  const cf = request.cf || {};
+  
+  return jsonResponse({
+    city: cf.city || 'Los Angeles',
+    country: cf.country || 'US',
+    region: cf.region || '',
+    latitude: cf.latitude || null,
+    longitude: cf.longitude || null,
+    timezone: cf.timezone || 'America/Los_Angeles',
+    cityDisplay: getCityDisplayName(cf.city, cf.country)
+  });
+}
+
+function getCityDisplayName(city, country) {
+  if (!city) return '洛杉矶';
+  
+  const cityNameMap = {
+    'Beijing': '北京',
+    'Shanghai': '上海',
+    'Guangzhou': '广州',
+    'Shenzhen': '深圳',
+    'Hangzhou': '杭州',
+    'Chengdu': '成都',
+    'Wuhan': '武汉',
+    'Xian': '西安',
+    'Nanjing': '南京',
+    'Suzhou': '苏州',
+    'Hong Kong': '香港',
+    'Taipei': '台北',
+    'Tokyo': '东京',
+    'Singapore': '新加坡',
+    'Seoul': '首尔',
+    'Los Angeles': '洛杉矶',
+    'San Francisco': '旧金山',
+    'New York': '纽约',
+    'Seattle': '西雅图',
+    'London': '伦敦',
+    'Paris': '巴黎',
+    'Sydney': '悉尼',
+    'Toronto': '多伦多'
+  };
+  
+  return cityNameMap[city] || city;
+}
+
+// ==================== 诊断端点 ====================
+async function handleDebug(request, env) {
+  const bindings = {
+    AI: {
+      exists: !!env.AI,
+      type: typeof env.AI,
+      isFunction: typeof env.AI?.run === 'function'
+    },
+    USER_DO: {
+      exists: !!env.USER_DO,
+      type: typeof env.USER_DO
+    },
+    R2_BUCKET: {
+      exists: !!env.R2_BUCKET,
+      type: typeof env.R2_BUCKET
+    },
+    GITHUB_TOKEN: {
+      exists: !!env.GITHUB_TOKEN,
+      length: env.GITHUB_TOKEN?.length || 0
+    }
+  };
+
+  let aiTest = { success: false, error: null };
+  if (env.AI) {
+    try {
+      const model = resolveTextModel(env);
+      const response = await runTextModel(env.AI, model, 'Say "Hello" in one word.', 10);
+      aiTest = { 
+        success: true, 
+        model: model.id,
+        response: response.response?.substring(0, 50) 
+      };
+    } catch (error) {
+      aiTest = { 
+        success: false, 
+        error: error.message,
+        errorName: error.name
+      };
+    }
+  }
+
+  return jsonResponse({
+    status: 'debug',
+    bindings,
+    aiTest,
+    envKeys: Object.keys(env),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// ==================== 生成专属页面 ====================
+// 请求头 Accept 包含 application/x-ndjson 时以 NDJSON 流式返回每一步的进度
+async function handleGenerate(request, env, ctx) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const body = await request.json();
+  const { username, city, interests, userBio, listedInDirectory, languages } = body;
+
+  if (!username) {
+    return jsonResponse({ error: 'GitHub username is required' }, 400);
+  }
+
+  const { settings: initialSettings, error: settingsError } = validateSettings({
+    listedInDirectory: listedInDirectory === true,
+    languages: languages || CONFIG.DEFAULT_SETTINGS.languages,
+    // 每日语录默认按访问者所在地的时区更换，之后可在页脚修改
+    timezone: isValidTimeZone(request.cf?.timezone) ? request.cf.timezone : CONFIG.DEFAULT_SETTINGS.timezone
+  });
+  if (settingsError) {
+    return jsonResponse({ error: settingsError }, 400);
+  }
+
+  // 只能为自己的 GitHub 账号生成或更新页面；先认证再计数，未登录的请求不会占用所有者的配额
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const limited = await enforceRateLimit(request, env, 'generate', username);
+  if (limited) return limited;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+  const stream = (request.headers.get('Accept') || '').includes('application/x-ndjson');
+
+  const existingRes = await doStub.fetch(new Request('http://do/get'));
+  const existing = await existingRes.json();
+
+  if (existing.exists) {
+    const updateRes = await doStub.fetch(new Request('http://do/update', {
+      method: 'POST',
+      headers: auditHeaders(request, auth.actor, '/api/generate'),
+      body: JSON.stringify({ city, interests, userBio })
+    }));
+    const updated = await updateRes.json();
+
+    // 创建时 slug 登记失败的页面在这里补登记
+    let data;
+    try {
+      data = await ensureSlugRegistered(env, request, auth.actor, doStub, updated.data);
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 500);
+    }
+    const result = { isNew: false, slug: data.slug, data };
+
+    return stream
+      ? streamNDJSON(ctx, async (send) => send({ type: 'result', ...result }))
+      : jsonResponse(result);
+  }
+
+  const create = (onProgress) => createPortfolio(env, request, auth.actor, doStub, body, initialSettings, onProgress);
+
+  if (stream) {
+    return streamNDJSON(ctx, async (send) => {
+      const data = await create(event => send({ type: 'progress', ...event }));
+      await send({ type: 'result', isNew: true, slug: data.slug, data });
+    });
+  }
+
+  try {
+    const data = await create(() => {});
+    return jsonResponse({ isNew: true, slug: data.slug, data });
+  } catch (error) {
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+// 新建页面的完整流程，每完成一步调用 onProgress({ step, status, ... })
+// status: done 成功，warning 部分失败但已使用备用内容，error 失败（随后抛出）
+async function createPortfolio(env, request, actor, doStub, body, settings, onProgress) {
+  const { username, city, interests, userBio, githubData: clientGithubData } = body;
+
+  // 1. 获取 GitHub 数据
+  let githubData;
+  if (clientGithubData && clientGithubData.user && clientGithubData.repos) {
+    githubData = clientGithubData;
+  } else {
+    try {
+      githubData = await fetchGitHubData(username, env);
+    } catch (error) {
+      onProgress({ step: 'github', status: 'error', error: error.message });
+      throw error;
+    }
+  }
+  onProgress({ step: 'github', status: 'done', repos: githubData.repos.length });
+
+  // 2. 生成 slug，页面保存成功后再登记，避免中途失败留下没有数据的 slug
+  const slug = generateSlug(username);
+
+  // 3. 使用 AI 生成所有内容
+  const aiContent = await generateAllAIContent(env, githubData, userBio, interests, {
+    languages: settings.languages,
+    onProgress
+  });
+
+  // 4. 获取真实新闻
+  const news = await fetchRealNews(interests);
+  onProgress(news.length > 0
+    ? { step: 'news', status: 'done', count: news.length }
+    : { step: 'news', status: 'warning', error: '暂时没有获取到新闻，稍后自动重试' });
+
+  // 5. 获取天气
+  const weather = await fetchWeather(env, city || CONFIG.DEFAULT_CITY);
+  onProgress(weather.source === 'fallback'
+    ? { step: 'weather', status: 'warning', error: '天气服务暂不可用，稍后自动重试' }
+    : { step: 'weather', status: 'done', city: weather.city });
+
+  // 6. 生成并存储背景图和社交卡片图
+  let backgroundUrl = null;
+  let cardImageUrl = null;
+  if (env.AI && env.R2_BUCKET) {
+    const imageResults = await generateAndStoreImages(env, username, githubData.user, aiContent.skills, aiContent.bio, onProgress);
+    backgroundUrl = imageResults.backgroundUrl;
+    cardImageUrl = imageResults.cardImageUrl;
+  }
+
+  // 7. 保存到 DO
+  const userData = {
+    username,
+    city: city || CONFIG.DEFAULT_CITY,
+    interests: interests || [],
+    userBio: userBio || '',
+    slug,
+    github: githubData.user,
+    repos: githubData.repos,
+    aiBio: aiContent.bio,
+    aiProjectDescriptions: aiContent.projectDescriptions,
+    aiQuote: aiContent.quote,
+    aiMeta: aiContent.meta,
+    aiLanguage: aiContent.language,
+    aiLocales: aiContent.locales,
+    aiProjectFingerprints: aiContent.projectFingerprints,
+    readmeDigests: aiContent.readmeDigests,
+    aiBackgroundUrl: backgroundUrl,
+    aiCardImageUrl: cardImageUrl,
+    skills: aiContent.skills,
+    bookmarks: getDefaultBookmarks(),
+    settings: { ...CONFIG.DEFAULT_SETTINGS, ...settings },
+    cachedNews: news,
+    cachedWeather: weather,
+    timestamps: {
+      textGenerated: Date.now(),
+      imageGenerated: backgroundUrl ? Date.now() : null,
+      newsUpdated: Date.now(),
+      weatherUpdated: Date.now()
+    }
+  };
+
+  const setRes = await doStub.fetch(new Request('http://do/set', {
+    method: 'POST',
+    headers: auditHeaders(request, actor, '/api/generate'),
+    body: JSON.stringify(userData)
+  }));
+  const saved = await setRes.json();
+  const data = await ensureSlugRegistered(env, request, actor, doStub, saved.data);
+  onProgress({ step: 'save', status: 'done' });
+
+  // 8. 总结本周 GitHub 动态（需要已保存的页面；失败不影响创建，之后由定时任务重试）
+  const digestRes = await doStub.fetch(new Request('http://do/digests/refresh', { method: 'POST' }));
+  const digest = await digestRes.json();
+  onProgress(digestRes.ok
+    ? { step: 'digest', status: 'done' }
+    : { step: 'digest', status: 'warning', error: '本周动态获取失败，稍后自动重试' });
+
+  return digest.data || data;
+}
+
+// 登记页面的 slug，极少数情况下随机串已被占用时换一个并写回页面，返回最新的 userData
+// 登记失败时页面已经保存，再次生成会走已有页面的流程，在那里重试登记
+async function ensureSlugRegistered(env, request, actor, doStub, userData) {
+  let slug = userData.slug;
+  for (let attempt = 1; !(await registerSlug(env, userData.username, slug)).success; attempt++) {
+    if (attempt >= 3) throw new Error('页面链接生成失败，请重试');
+    slug = generateSlug(userData.username);
+  }
+  if (slug === userData.slug) return userData;
+
+  const updateRes = await doStub.fetch(new Request('http://do/update', {
+    method: 'POST',
+    headers: auditHeaders(request, actor, '/api/generate'),
+    body: JSON.stringify({ slug })
+  }));
+  return (await updateRes.json()).data;
+}
+
+// 以 NDJSON 流式返回：每行一个 JSON 事件，run 抛出的错误以 { type: 'error' } 事件结束
+function streamNDJSON(ctx, run) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  // 客户端断开后写入会失败，忽略即可，生成流程继续完成
+  const send = (event) => writer.write(encoder.encode(JSON.stringify(event) + '\n')).catch(() => {});
+
+  ctx.waitUntil((async () => {
+    try {
+      await run(send);
+    } catch (error) {
+      console.error('Stream error:', error);
+      await send({ type: 'error', error: error.message });
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })());
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+// ==================== 获取用户数据 ====================
+async function handleGetUser(request, env, apiPath, ctx) {
+  const slug = apiPath.replace('/user/', '');
+  
+  if (!slug) {
+    return jsonResponse({ error: 'Invalid slug' }, 400);
+  }
+
+  const resolved = await resolveSlug(env, slug);
+  if (!resolved) {
+    return jsonResponse({ error: 'User not found' }, 404);
+  }
+
+  if (resolved.isAlias) {
+    return Response.redirect(`${new URL(request.url).origin}/api/user/${resolved.slug}`, 301);
+  }
+
+  const doId = env.USER_DO.idFromName(resolved.username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/get'));
+  const result = await res.json();
+
+  if (!result.exists) {
+    return jsonResponse({ error: 'User not found' }, 404);
+  }
+
+  revalidateInBackground(ctx, doStub, result.data);
+
+  return jsonResponse({ data: result.data, stale: getStaleWidgets(result.data) });
+}
+
+// ==================== 刷新 AI 内容 ====================
+async function handleRefresh(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, forceAll, githubData: clientGithubData } = await request.json();
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const limited = await enforceRateLimit(request, env, 'refresh', username);
+  if (limited) return limited;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/get'));
+  const result = await res.json();
+
+  if (!result.exists) {
+    return jsonResponse({ error: 'User not found' }, 404);
+  }
+
+  const githubData = clientGithubData && clientGithubData.user && clientGithubData.repos
+    ? clientGithubData
+    : null;
+  const updates = await buildRefreshUpdates(env, result.data, { githubData });
+
+  // 如果强制刷新所有内容，重新生成图像
+  if (forceAll && env.AI && env.R2_BUCKET) {
+    // R2 key 用存储的用户名，保证与 listUserAssetKeys 的前缀一致（请求里的大小写可能不同）
+    const imageResults = await generateAndStoreImages(env, result.data.username, updates.github, updates.skills, updates.aiBio);
+    updates.aiBackgroundUrl = imageResults.backgroundUrl;
+    updates.aiCardImageUrl = imageResults.cardImageUrl;
+    updates.timestamps.imageGenerated = Date.now();
+  }
+
+  await doStub.fetch(new Request('http://do/update', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/refresh'),
+    body: JSON.stringify(updates)
+  }));
+
+  // 同时更新本周动态，失败时由定时任务重试
+  await doStub.fetch(new Request('http://do/digests/refresh', { method: 'POST' }));
+
+  const updatedRes = await doStub.fetch(new Request('http://do/get'));
+  const updated = await updatedRes.json();
+
+  return jsonResponse({ success: true, data: updated.data });
+}
+
+// ==================== 批量更新书签 ====================
+async function handleUpdateBookmarks(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, bookmarks } = await request.json();
+  
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  return await doStub.fetch(new Request('http://do/update-bookmarks', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/bookmarks/update'),
+    body: JSON.stringify({ bookmarks })
+  }));
+}
+
+// ==================== API Token 管理 ====================
+// Token 只能通过浏览器会话管理，避免 Token 自我签发
+async function handleTokens(request, env) {
+  const session = await getSession(request, env);
+  if (!session) {
+    return jsonResponse({ error: '请先使用 GitHub 登录' }, 401);
+  }
+
+  const doId = env.USER_DO.idFromName(session.login.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  if (request.method === 'GET') {
+    return await doStub.fetch(new Request('http://do/tokens/list'));
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { name, scopes, expiresInDays } = await request.json();
+
+  const validScopes = (scopes || ['read']).filter(s => CONFIG.API_TOKEN_SCOPES.includes(s));
+  if (validScopes.length === 0) {
+    return jsonResponse({ error: `scopes 只能包含: ${CONFIG.API_TOKEN_SCOPES.join(', ')}` }, 400);
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > CONFIG.API_TOKEN_MAX_EXPIRY_DAYS) {
+      return jsonResponse({ error: `expiresInDays 必须在 1-${CONFIG.API_TOKEN_MAX_EXPIRY_DAYS} 之间` }, 400);
+    }
+    expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+  }
+
+  return await doStub.fetch(new Request('http://do/tokens/create', {
+    method: 'POST',
+    headers: auditHeaders(request, { type: 'session', login: session.login }, '/api/tokens'),
+    body: JSON.stringify({ name: (name || '').substring(0, 60), scopes: validScopes, expiresAt })
+  }));
+}
+
+async function handleRevokeToken(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const session = await getSession(request, env);
+  if (!session) {
+    return jsonResponse({ error: '请先使用 GitHub 登录' }, 401);
+  }
+
+  const { id } = await request.json();
+  if (!id) {
+    return jsonResponse({ error: 'Token id is required' }, 400);
+  }
+
+  const doId = env.USER_DO.idFromName(session.login.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  return await doStub.fetch(new Request('http://do/tokens/revoke', {
+    method: 'POST',
+    headers: auditHeaders(request, { type: 'session', login: session.login }, '/api/tokens/revoke'),
+    body: JSON.stringify({ id })
+  }));
+}
+
+// ==================== 页面设置 ====================
+async function handleUpdateSettings(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, settings: input } = await request.json();
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const { settings, error } = validateSettings(input);
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/update', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/settings'),
+    body: JSON.stringify({ settings })
+  }));
+  const result = await res.json();
+
+  if (!result.success) {
+    return jsonResponse({ error: result.error || 'User not found' }, res.status);
+  }
+
+  return jsonResponse({ success: true, settings: result.data.settings });
+}
+
+// 用指定的简介风格试生成简介和语录，不写入数据，供所有者保存前预览
+async function handlePreviewBioStyle(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, bioStyle, language } = await request.json();
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+  if (!SETTINGS_VALIDATORS.bioStyle(bioStyle)) {
+    return jsonResponse({ error: '设置项 bioStyle 的值无效' }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const limited = await enforceRateLimit(request, env, 'regenerate', username);
+  if (limited) return limited;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/get'));
+  const result = await res.json();
+
+  if (!result.exists) {
+    return jsonResponse({ error: 'User not found' }, 404);
+  }
+
+  const userData = result.data;
+  const code = language || userData.aiLanguage;
+
+  if (!getAvailableLocales(userData).includes(code)) {
+    return jsonResponse({ error: `No content in language: ${code}` }, 400);
+  }
+  if (!env.AI) {
+    return jsonResponse({ error: 'Workers AI is required to preview content' }, 503);
+  }
+
+  const style = { ...userData.settings.bioStyle, ...bioStyle };
+  const models = userData.settings.models;
+
+  try {
+    const [bio, quote] = await Promise.all([
+      generateAIBio(env.AI, resolveTextModel(env, 'bio', models, code), userData.github, userData.userBio, userData.repos, code, style),
+      generateAIQuote(env.AI, resolveTextModel(env, 'quote', models, code), userData.github, userData.interests, userData.skills, code, style)
+    ]);
+    return jsonResponse({ bioStyle: style, language: code, bio: bio.value, quote: quote.value });
+  } catch (error) {
+    console.error('Bio style preview error:', error);
+    return jsonResponse({ error: `AI generation failed: ${error.message}` }, 502);
+  }
+}
+
+// 可选的文本模型及当前部署默认模型
+function handleListModels(env) {
+  return jsonResponse({
+    default: resolveTextModel(env).id,
+    models: Object.entries(CONFIG.TEXT_MODELS).map(([id, model]) => ({ id, ...model }))
+  });
+}
+
+// ==================== 公开目录 ====================
+async function handleDirectory(request, env) {
+  const limited = await enforceRateLimit(request, env, 'directory');
+  if (limited) return limited;
+
+  return jsonResponse(await searchDirectory(env, new URL(request.url).searchParams));
+}
+
+async function searchDirectory(env, searchParams) {
+  const query = new URLSearchParams();
+  for (const key of ['q', 'skill', 'interest', 'city', 'sort', 'page', 'limit']) {
+    if (searchParams.get(key)) query.set(key, searchParams.get(key));
+  }
+
+  const directory = env.DIRECTORY.get(env.DIRECTORY.idFromName('global'));
+  const res = await directory.fetch(new Request(`http://directory/search?${query}`));
+  return await res.json();
+}
+
+async function handleExplorePage(request, env) {
+  const url = new URL(request.url);
+  const result = await searchDirectory(env, url.searchParams);
+  return serveExplorePage(result, url.searchParams);
+}
+
+// ==================== 自定义链接（Slug 注册表）====================
+function getSlugRegistry(env) {
+  return env.SLUG_REGISTRY.get(env.SLUG_REGISTRY.idFromName('global'));
+}
+
+async function registerSlug(env, username, slug) {
+  const res = await getSlugRegistry(env).fetch(new Request('http://registry/assign', {
+    method: 'POST',
+    body: JSON.stringify({ username, slug })
+  }));
+  return await res.json();
+}
+
+// 返回 { username, slug（当前主 slug）, isAlias } 或 null
+async function resolveSlug(env, rawSlug) {
+  let slug;
+  try {
+    slug = decodeURIComponent(rawSlug).toLowerCase();
+  } catch {
+    return null; // 非法的百分号编码（如 %E0）按不存在处理
+  }
+
+  const res = await getSlugRegistry(env).fetch(
+    new Request(`http://registry/resolve?slug=${encodeURIComponent(slug)}`)
+  );
+  if (res.ok) {
+    return await res.json();
+  }
+
+  // 注册表中没有：兼容注册表上线前创建的页面（slug = 用户名-6位随机串），以及直接用用户名访问
+  const candidates = [...new Set([slug.replace(/-[a-z0-9]{6}$/, ''), slug])];
+  for (const candidate of candidates) {
+    const doStub = env.USER_DO.get(env.USER_DO.idFromName(candidate));
+    const result = await (await doStub.fetch(new Request('http://do/get'))).json();
+
+    if (result.exists && (result.data.slug === slug || candidate === slug)) {
+      // 顺便补登记，之后直接命中注册表
+      const registered = await registerSlug(env, result.data.username, result.data.slug);
+      if (registered.success || candidate === slug) {
+        return { username: result.data.username, slug: result.data.slug, isAlias: false };
+      }
+    }
+  }
+
+  return null;
+}
+
+// /@{username} 只按用户名查找，不经过注册表，其他用户登记的同名自定义链接不会影响它
+async function resolveUsername(env, rawUsername) {
+  let username;
+  try {
+    username = decodeURIComponent(rawUsername).toLowerCase();
+  } catch {
+    return null;
+  }
+
+  const doStub = env.USER_DO.get(env.USER_DO.idFromName(username));
+  const result = await (await doStub.fetch(new Request('http://do/get'))).json();
+  return result.exists ? { username: result.data.username, slug: result.data.slug, isAlias: false } : null;
+}
+
+// 自定义链接不能是其他用户的用户名或默认链接（用户名-6位随机串），否则 /p/{用户名} 会解析到别人的页面
+async function isOtherUsersDefaultSlug(env, slug, username) {
+  const candidates = [...new Set([slug.replace(/-[a-z0-9]{6}$/, ''), slug])];
+  for (const candidate of candidates) {
+    if (candidate === username.toLowerCase()) continue;
+
+    const doStub = env.USER_DO.get(env.USER_DO.idFromName(candidate));
+    const result = await (await doStub.fetch(new Request('http://do/get'))).json();
+    if (result.exists && (candidate === slug || result.data.slug === slug)) return true;
+  }
+  return false;
+}
+
+function validateCustomSlug(slug) {
+  if (!CONFIG.SLUG_PATTERN.test(slug)) {
+    return '链接只能包含小写字母、数字和连字符，长度 3-40，且不能以连字符开头或结尾';
+  }
+  if (CONFIG.RESERVED_SLUGS.includes(slug)) {
+    return `"${slug}" 是系统保留词，请换一个`;
+  }
+  return null;
+}
+
+async function handleClaimSlug(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, slug: rawSlug } = await request.json();
+  const slug = (rawSlug || '').trim().toLowerCase();
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const invalid = validateCustomSlug(slug);
+  if (invalid) {
+    return jsonResponse({ error: invalid }, 400);
+  }
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const existing = await (await doStub.fetch(new Request('http://do/get'))).json();
+  if (!existing.exists) {
+    return jsonResponse({ error: 'User not found' }, 404);
+  }
+
+  if (await isOtherUsersDefaultSlug(env, slug, existing.data.username)) {
+    return jsonResponse({ error: '该链接已被其他用户占用' }, 409);
+  }
+
+  // 确保旧 slug 已登记，这样更换后它会作为别名继续可用
+  await registerSlug(env, existing.data.username, existing.data.slug);
+
+  const claimed = await registerSlug(env, existing.data.username, slug);
+  if (!claimed.success) {
+    return jsonResponse({ error: claimed.error }, 409);
+  }
+
+  await doStub.fetch(new Request('http://do/update', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/slug'),
+    body: JSON.stringify({ slug })
+  }));
+
+  return jsonResponse({ success: true, slug, aliases: claimed.aliases });
+}
+
+// ==================== AI 内容版本历史 ====================
+// GET ?username=&field=          列出版本（不含提示词）
+// GET ?username=&field=&id=      预览单个版本（含模型和提示词）
+async function handleAIHistory(request, env) {
+  const url = new URL(request.url);
+  const username = url.searchParams.get('username');
+  const field = url.searchParams.get('field');
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+  if (!AI_HISTORY_FIELDS[field]) {
+    return jsonResponse({ error: `field 只能是: ${Object.keys(AI_HISTORY_FIELDS).join(', ')}` }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username, 'read');
+  if (auth.error) return auth.error;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const query = new URLSearchParams({ field });
+  if (url.searchParams.get('id')) query.set('id', url.searchParams.get('id'));
+
+  return await doStub.fetch(new Request(`http://do/ai-history?${query}`));
+}
+
+async function handleRestoreAIVersion(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, field, id } = await request.json();
+
+  if (!username || !id) {
+    return jsonResponse({ error: 'Username and version id are required' }, 400);
+  }
+  if (!AI_HISTORY_FIELDS[field]) {
+    return jsonResponse({ error: `field 只能是: ${Object.keys(AI_HISTORY_FIELDS).join(', ')}` }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  return await doStub.fetch(new Request('http://do/ai-history/restore', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/ai-history/restore'),
+    body: JSON.stringify({ field, id })
+  }));
+}
+
+// ==================== 审计日志 ====================
+async function handleAuditLog(request, env) {
+  const url = new URL(request.url);
+  const username = url.searchParams.get('username');
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username, 'read');
+  if (auth.error) return auth.error;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const query = new URLSearchParams();
+  if (url.searchParams.get('limit')) query.set('limit', url.searchParams.get('limit'));
+  if (url.searchParams.get('cursor')) query.set('cursor', url.searchParams.get('cursor'));
+
+  return await doStub.fetch(new Request(`http://do/audit?${query}`));
+}
+
+// ==================== 单独重新生成 ====================
+// 单独重新生成一个 AI 字段，其余内容保持不变
+// field: bio | quote | project（需 repo）| background | card；文字字段可用 language 指定语言，默认主语言
+async function handleRegenerate(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, field, repo, language } = await request.json();
+
+  if (!username) {
+    return jsonResponse({ error: '请提供用户名' }, 400);
+  }
+  if (!REGENERATE_FIELDS.includes(field)) {
+    return jsonResponse({ error: `field 必须是以下之一：${REGENERATE_FIELDS.join(', ')}` }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const limited = await enforceRateLimit(request, env, 'regenerate', username);
+  if (limited) return limited;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/get'));
+  const result = await res.json();
+
+  if (!result.exists) {
+    return jsonResponse({ error: '作品集不存在' }, 404);
+  }
+
+  const userData = result.data;
+  const code = language || userData.aiLanguage;
+
+  if (!getAvailableLocales(userData).includes(code)) {
+    return jsonResponse({ error: `没有 ${code} 语言的内容` }, 400);
+  }
+  if (field === 'project' && !userData.repos.some(r => !r.fork && r.name === repo)) {
+    return jsonResponse({ error: `未知的仓库：${repo}` }, 400);
+  }
+  if (['bio', 'quote', 'project'].includes(field) && isAILocked(userData, field, repo)) {
+    return jsonResponse({ error: '该内容已锁定，请先解锁再重新生成' }, 409);
+  }
+  if (!env.AI || ((field === 'background' || field === 'card') && !env.R2_BUCKET)) {
+    return jsonResponse({ error: '重新生成需要配置 Workers AI 和 R2' }, 503);
+  }
+
+  let updates;
+  try {
+    updates = await buildRegenerateUpdates(env, userData, { field, repo, language: code });
+  } catch (error) {
+    console.error(`Regenerate ${field} error:`, error);
+    return jsonResponse({ error: `AI 生成失败：${error.message}` }, 502);
+  }
+
+  const updateRes = await doStub.fetch(new Request('http://do/update', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/regenerate'),
+    body: JSON.stringify(updates)
+  }));
+  const updated = await updateRes.json();
+
+  return jsonResponse({ success: true, field, data: updated.data });
+}
+
+// ==================== 手动编辑 AI 文案 ====================
+// 手动编辑 AI 文案或切换锁定：{ username, field: bio | quote | project, repo?, language?, value?, locked? }
+// 提交 value 时默认同时锁定，避免下次刷新覆盖
+async function handleEditAIContent(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+
+  const { username, field, repo, language, value, locked } = await request.json();
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
+  }
+  if (!['bio', 'quote', 'project'].includes(field)) {
+    return jsonResponse({ error: 'field must be one of: bio, quote, project' }, 400);
+  }
+  if (value === undefined && typeof locked !== 'boolean') {
+    return jsonResponse({ error: 'value or locked is required' }, 400);
+  }
+  if (locked !== undefined && typeof locked !== 'boolean') {
+    return jsonResponse({ error: 'locked must be a boolean' }, 400);
+  }
+
+  let text;
+  if (value !== undefined) {
+    const { value: normalized, error } = normalizeAIText(field, value);
+    if (error) return jsonResponse({ error }, 400);
+    text = normalized;
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  const res = await doStub.fetch(new Request('http://do/get'));
+  const result = await res.json();
+
+  if (!result.exists) {
+    return jsonResponse({ error: 'User not found' }, 404);
+  }
+
+  const userData = result.data;
+  const code = language || userData.aiLanguage;
+
+  if (!getAvailableLocales(userData).includes(code)) {
+    return jsonResponse({ error: `No content in language: ${code}` }, 400);
+  }
+  if (field === 'project' && !userData.repos.some(r => !r.fork && r.name === repo)) {
+    return jsonResponse({ error: `Unknown repo: ${repo}` }, 400);
+  }
+
+  let updates = {};
+  if (text !== undefined) {
+    updates = field === 'project'
+      ? buildAIFieldUpdates(userData, code, 'projectDescriptions', { value: { [repo]: text }, model: MANUAL_TEXT_MODEL, prompt: null })
+      : buildAIFieldUpdates(userData, code, field, { value: text, model: MANUAL_TEXT_MODEL, prompt: null });
+  }
+
+  const lock = locked ?? (text !== undefined ? true : undefined);
+  if (lock !== undefined) {
+    updates.aiLocks = field === 'project' ? { projectDescriptions: { [repo]: lock } } : { [field]: lock };
+  }
 
-  let aiTest = { success: false, error: null };
-  if (env.AI) {
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
-        messages: [{ role: 'user', content: 'Say "Hello" in one word.' }],
-        max_tokens: 10
-      });
-      aiTest = { 
-        success: true, 
-        response: response.response?.substring(0, 50) 
-      };
-    } catch (error) {
-      aiTest = { 
-        success: false, 
-        error: error.message,
-        errorName: error.name
-      };
+  const updateRes = await doStub.fetch(new Request('http://do/update', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/ai-content'),
+    body: JSON.stringify(updates)
+  }));
+  const updated = await updateRes.json();
+
+  return jsonResponse({ success: true, data: updated.data });
+}
+
+// 校验手动编辑的文案，返回 { value } 或 { error }
+function normalizeAIText(field, value) {
+  const limits = CONFIG.AI_TEXT_MAX_LENGTH;
+  const clean = (text) => typeof text === 'string' ? text.trim() : '';
+
+  if (field === 'quote') {
+    const text = clean(value?.text);
+    const author = clean(value?.author);
+    if (!text || text.length > limits.quote || author.length > limits.author) {
+      return { error: `quote 需要 text（1-${limits.quote} 字）和 author（最多 ${limits.author} 字）` };
     }
+    return { value: { text, author: author || 'AI 智慧' } };
   }
 
-  return jsonResponse({
-    status: 'debug',
-    bindings,
-    aiTest,
-    envKeys: Object.keys(env),
-    timestamp: new Date().toISOString()
-  });
+  const text = clean(value);
+  if (!text || text.length > limits[field]) {
+    return { error: `${field} 需要 1-${limits[field]} 字的文本` };
+  }
+  return { value: text };
 }
 
-// ==================== 生成专属页面 ====================
-async function handleGenerate(request, env) {
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405 });
+// ==================== 定时刷新记录 ====================
+async function handleRefreshRuns(request, env) {
+  const username = new URL(request.url).searchParams.get('username');
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
   }
 
-  const body = await request.json();
-  const { username, city, interests, userBio, githubData: clientGithubData } = body;
+  const auth = await requireOwner(request, env, username, 'read');
+  if (auth.error) return auth.error;
+
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
+
+  return await doStub.fetch(new Request('http://do/refresh-runs'));
+}
+
+// ==================== 每周动态 ====================
+// 往期每周动态公开可读：week 指定某一周，否则按周倒序分页
+async function handleWeeklyDigests(request, env) {
+  const url = new URL(request.url);
+  const username = url.searchParams.get('username');
 
   if (!username) {
-    return jsonResponse({ error: 'GitHub username is required' }, 400);
+    return jsonResponse({ error: 'Username is required' }, 400);
   }
 
   const doId = env.USER_DO.idFromName(username.toLowerCase());
   const doStub = env.USER_DO.get(doId);
 
-  const existingRes = await doStub.fetch(new Request('http://do/get'));
-  const existing = await existingRes.json();
+  const query = new URLSearchParams();
+  for (const key of ['week', 'cursor', 'limit']) {
+    if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+  }
 
-  if (existing.exists) {
-    const updateRes = await doStub.fetch(new Request('http://do/update', {
-      method: 'POST',
-      body: JSON.stringify({ city, interests, userBio })
-    }));
-    const updated = await updateRes.json();
-    return jsonResponse({
-      isNew: false,
-      slug: updated.data.slug,
-      data: updated.data
-    });
+  return await doStub.fetch(new Request(`http://do/digests?${query}`));
+}
+
+// ==================== 每日语录 ====================
+// 语录历史公开可读，与页面上展示的内容一致
+async function handleQuoteHistory(request, env) {
+  const url = new URL(request.url);
+  const username = url.searchParams.get('username');
+
+  if (!username) {
+    return jsonResponse({ error: 'Username is required' }, 400);
   }
 
-  try {
-    // 1. 获取 GitHub 数据
-    let githubData;
-    if (clientGithubData && clientGithubData.user && clientGithubData.repos) {
-      githubData = clientGithubData;
-    } else {
-      githubData = await fetchGitHubData(username, env);
-    }
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
 
-    // 2. 生成 slug
-    const slug = generateSlug(username);
+  const query = new URLSearchParams();
+  for (const key of ['cursor', 'limit', 'favorites']) {
+    if (url.searchParams.get(key)) query.set(key, url.searchParams.get(key));
+  }
 
-    // 3. 使用 AI 生成所有内容
-    const aiContent = await generateAllAIContent(env, githubData, userBio, interests);
+  return await doStub.fetch(new Request(`http://do/quotes?${query}`));
+}
 
-    // 4. 获取真实新闻
-    const news = await fetchRealNews(interests);
+async function handleFavoriteQuote(request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
 
-    // 5. 获取天气
-    const weather = await fetchWeather(env, city || CONFIG.DEFAULT_CITY);
+  const { username, date, favorite } = await request.json();
 
-    // 6. 生成并存储背景图和社交卡片图
-    let backgroundUrl = null;
-    let cardImageUrl = null;
-    if (env.AI && env.R2_BUCKET) {
-      const imageResults = await generateAndStoreImages(env, username, githubData.user, aiContent.skills, aiContent.bio);
-      backgroundUrl = imageResults.backgroundUrl;
-      cardImageUrl = imageResults.cardImageUrl;
-    }
+  if (!username || !date) {
+    return jsonResponse({ error: 'Username and date are required' }, 400);
+  }
+  if (typeof favorite !== 'boolean') {
+    return jsonResponse({ error: 'favorite must be a boolean' }, 400);
+  }
 
-    // 7. 保存到 DO
-    const userData = {
-      username,
-      city: city || CONFIG.DEFAULT_CITY,
-      interests: interests || [],
-      userBio: userBio || '',
-      slug,
-      github: githubData.user,
-      repos: githubData.repos,
-      aiBio: aiContent.bio,
-      aiProjectDescriptions: aiContent.projectDescriptions,
-      aiQuote: aiContent.quote,
-      aiBackgroundUrl: backgroundUrl,
-      aiCardImageUrl: cardImageUrl,
-      skills: aiContent.skills,
-      bookmarks: getDefaultBookmarks(),
-      cachedNews: news,
-      cachedWeather: weather,
-      timestamps: {
-        textGenerated: Date.now(),
-        imageGenerated: backgroundUrl ? Date.now() : null,
-        newsUpdated: Date.now(),
-        weatherUpdated: Date.now()
-      }
-    };
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
 
-    await doStub.fetch(new Request('http://do/set', {
-      method: 'POST',
-      body: JSON.stringify(userData)
-    }));
+  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  const doStub = env.USER_DO.get(doId);
 
-    return jsonResponse({
-      isNew: true,
-      slug,
-      data: userData
-    });
+  return await doStub.fetch(new Request('http://do/quotes/favorite', {
+    method: 'POST',
+    headers: auditHeaders(request, auth.actor, '/api/quotes/favorite'),
+    body: JSON.stringify({ date, favorite })
+  }));
+}
 
-  } catch (error) {
-    return jsonResponse({ error: error.message }, 500);
+// 逐个顶层字段比较，返回 { field: { from, to } }
+function diffUserData(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (CONFIG.AUDIT_IGNORED_FIELDS.includes(field)) continue;
+
+    const from = JSON.stringify(before[field] ?? null);
+    const to = JSON.stringify(after[field] ?? null);
+    if (from !== to) {
+      changes[field] = { from: summarizeAuditValue(from), to: summarizeAuditValue(to) };
+    }
   }
+
+  return changes;
 }
 
-// ==================== 获取用户数据 ====================
-async function handleGetUser(request, env, apiPath) {
-  const slug = apiPath.replace('/user/', '');
-  const username = slug.split('-')[0];
-  
+function summarizeAuditValue(json) {
+  if (json.length <= CONFIG.AUDIT_MAX_VALUE_LENGTH) {
+    return JSON.parse(json);
+  }
+  return { truncated: true, size: json.length, preview: json.substring(0, 200) };
+}
+
+// ==================== 账号删除 & 数据导出 ====================
+async function handleExportAccount(request, env) {
+  const url = new URL(request.url);
+  const username = url.searchParams.get('username');
+
   if (!username) {
-    return jsonResponse({ error: 'Invalid slug' }, 400);
+    return jsonResponse({ error: 'Username is required' }, 400);
   }
 
+  const auth = await requireOwner(request, env, username, 'read');
+  if (auth.error) return auth.error;
+
   const doId = env.USER_DO.idFromName(username.toLowerCase());
   const doStub = env.USER_DO.get(doId);
 
-  const res = await doStub.fetch(new Request('http://do/get'));
-  const result = await res.json();
-
-  if (!result.exists || result.data.slug !== slug) {
+  const res = await doStub.fetch(new Request('http://do/export'));
+  if (!res.ok) {
     return jsonResponse({ error: 'User not found' }, 404);
   }
+  const { userData, aiHistory, quoteHistory, weeklyDigests } = await res.json();
+
+  const encoder = new TextEncoder();
+  const toJsonFile = (name, value) => ({ name, data: encoder.encode(JSON.stringify(value, null, 2)) });
+
+  const files = [
+    toJsonFile('userData.json', userData),
+    toJsonFile('bookmarks.json', userData.bookmarks || []),
+    toJsonFile('ai-content.json', {
+      aiBio: userData.aiBio,
+      aiQuote: userData.aiQuote,
+      aiProjectDescriptions: userData.aiProjectDescriptions,
+      textGenerated: userData.timestamps?.textGenerated || null
+    }),
+    toJsonFile('ai-history.json', aiHistory),
+    toJsonFile('quote-history.json', quoteHistory),
+    toJsonFile('weekly-digests.json', weeklyDigests)
+  ];
 
-  const userData = result.data;
-  const now = Date.now();
-  let updates = {};
-
-  if (!userData.cachedWeather || 
-      now - userData.timestamps.weatherUpdated > CONFIG.CACHE_TTL_WEATHER) {
-    updates.cachedWeather = await fetchWeather(env, userData.city);
-    updates.timestamps = { ...updates.timestamps, weatherUpdated: now };
-  }
-
-  if (!userData.cachedNews || 
-      now - userData.timestamps.newsUpdated > CONFIG.CACHE_TTL_NEWS) {
-    updates.cachedNews = await fetchRealNews(userData.interests);
-    updates.timestamps = { ...updates.timestamps, newsUpdated: now };
+  // 附带 R2 中的 AI 生成图片
+  if (env.R2_BUCKET) {
+    for (const key of await listUserAssetKeys(env, userData)) {
+      const object = await env.R2_BUCKET.get(key);
+      if (object) {
+        files.push({ name: `images/${key}`, data: new Uint8Array(await object.arrayBuffer()) });
+      }
+    }
   }
 
-  if (Object.keys(updates).length > 0) {
-    await doStub.fetch(new Request('http://do/update', {
-      method: 'POST',
-      body: JSON.stringify(updates)
-    }));
-    Object.assign(userData, updates);
-  }
+  const archive = createZipArchive(files);
+  const date = new Date().toISOString().split('T')[0];
 
-  return jsonResponse({ data: userData });
+  return new Response(archive, {
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="myedge-${userData.username}-${date}.zip"`,
+      'Cache-Control': 'no-store'
+    }
+  });
 }
 
-// ==================== 刷新 AI 内容 ====================
-async function handleRefresh(request, env) {
+// 删除账号：需浏览器会话 + 输入用户名确认，不接受 API Token
+async function handleDeleteAccount(request, env) {
   if (request.method !== 'POST') {
     return new Response('Method Not Allowed', { status: 405 });
   }
 
-  const { username, forceAll, githubData: clientGithubData } = await request.json();
+  const { username, confirm } = await request.json();
 
   if (!username) {
     return jsonResponse({ error: 'Username is required' }, 400);
   }
 
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
+
+  if (auth.actor.type !== 'session') {
+    return jsonResponse({ error: '删除账号需要浏览器登录，不支持 API Token' }, 403);
+  }
+
+  if (!isSameLogin(confirm, username)) {
+    return jsonResponse({ error: '请输入用户名以确认删除' }, 400);
+  }
+
   const doId = env.USER_DO.idFromName(username.toLowerCase());
   const doStub = env.USER_DO.get(doId);
 
@@ -535,83 +3744,101 @@ async function handleRefresh(request, env) {
     return jsonResponse({ error: 'User not found' }, 404);
   }
 
-  const userData = result.data;
-
-  let githubData;
-  if (clientGithubData && clientGithubData.user && clientGithubData.repos) {
-    githubData = clientGithubData;
-  } else {
-    githubData = await fetchGitHubData(username, env);
+  // 先删除 R2 图片，再清空 DO，避免失败后留下无法追踪的孤立对象
+  let deletedAssets = 0;
+  if (env.R2_BUCKET) {
+    const keys = await listUserAssetKeys(env, result.data);
+    // R2 单次 delete 最多 1000 个 key
+    for (let i = 0; i < keys.length; i += 1000) {
+      await env.R2_BUCKET.delete(keys.slice(i, i + 1000));
+    }
+    deletedAssets = keys.length;
   }
 
-  const aiContent = await generateAllAIContent(env, githubData, userData.userBio, userData.interests);
-  const news = await fetchRealNews(userData.interests);
-  const weather = await fetchWeather(env, userData.city);
+  await doStub.fetch(new Request('http://do/delete', { method: 'POST' }));
+  await getSlugRegistry(env).fetch(new Request('http://registry/release', {
+    method: 'POST',
+    body: JSON.stringify({ username: result.data.username })
+  }));
 
-  const updates = {
-    github: githubData.user,
-    repos: githubData.repos,
-    aiBio: aiContent.bio,
-    aiProjectDescriptions: aiContent.projectDescriptions,
-    aiQuote: aiContent.quote,
-    skills: aiContent.skills,
-    cachedNews: news,
-    cachedWeather: weather,
-    timestamps: {
-      textGenerated: Date.now(),
-      newsUpdated: Date.now(),
-      weatherUpdated: Date.now()
+  return jsonResponse({ success: true, deletedAssets });
+}
+
+// 收集属于该用户的 R2 对象：当前引用的图片 + 历史生成的 backgrounds/ 和 cards/
+async function listUserAssetKeys(env, userData) {
+  const keys = new Set();
+
+  for (const assetUrl of [userData.aiBackgroundUrl, userData.aiCardImageUrl]) {
+    if (assetUrl && assetUrl.startsWith('/assets/')) {
+      keys.add(assetUrl.replace('/assets/', ''));
     }
-  };
+  }
 
-  // 如果强制刷新所有内容，重新生成图像
-  if (forceAll && env.AI && env.R2_BUCKET) {
-    const imageResults = await generateAndStoreImages(env, username, githubData.user, aiContent.skills, aiContent.bio);
-    updates.aiBackgroundUrl = imageResults.backgroundUrl;
-    updates.aiCardImageUrl = imageResults.cardImageUrl;
-    updates.timestamps.imageGenerated = Date.now();
+  const name = escapeRegExp(userData.username);
+  const patterns = [
+    { prefix: `backgrounds/${userData.username}-bg-`, regex: new RegExp(`^backgrounds/${name}-bg-\\d+\\.png$`) },
+    { prefix: `cards/${userData.username}-card-`, regex: new RegExp(`^cards/${name}-card-\\d+\\.png$`) }
+  ];
+
+  for (const { prefix, regex } of patterns) {
+    let cursor;
+    do {
+      const listed = await env.R2_BUCKET.list({ prefix, cursor });
+      listed.objects
+        .filter(obj => regex.test(obj.key))
+        .forEach(obj => keys.add(obj.key));
+      cursor = listed.truncated ? listed.cursor : undefined;
+    } while (cursor);
   }
 
-  await doStub.fetch(new Request('http://do/update', {
-    method: 'POST',
-    body: JSON.stringify(updates)
-  }));
+  return [...keys];
+}
 
-  const updatedRes = await doStub.fetch(new Request('http://do/get'));
-  const updated = await updatedRes.json();
+// ==================== 真实新闻 API ====================
+async function handleNews(request, env) {
+  const limited = await enforceRateLimit(request, env, 'news');
+  if (limited) return limited;
 
-  return jsonResponse({ success: true, data: updated.data });
+  const url = new URL(request.url);
+  const interests = url.searchParams.get('interests')?.split(',') || ['Tech'];
+  const news = await fetchRealNews(interests);
+  // 没有所有者资料，只按新鲜度和热度排序
+  return jsonResponse(rankNews(news));
 }
 
-// ==================== 批量更新书签 ====================
-async function handleUpdateBookmarks(request, env) {
+// 所有者点击或隐藏新闻，用于调整个性化排序
+async function handleNewsFeedback(request, env) {
   if (request.method !== 'POST') {
     return new Response('Method Not Allowed', { status: 405 });
   }
 
-  const { username, bookmarks } = await request.json();
-  
-  if (!username) {
-    return jsonResponse({ error: 'Username is required' }, 400);
+  const { username, url, action } = await request.json();
+
+  if (!username || !url) {
+    return jsonResponse({ error: 'Username and url are required' }, 400);
+  }
+  // 只接受 http(s) 地址；DO 中还会核对它确实在候选池里，不信任客户端传回的其他内容
+  if (typeof url !== 'string' || url.length > 2048 || !safeHttpUrl(url)) {
+    return jsonResponse({ error: 'url must be an http(s) URL' }, 400);
   }
+  if (!Object.hasOwn(CONFIG.NEWS_FEEDBACK_WEIGHTS, action)) {
+    return jsonResponse({ error: `action must be one of: ${Object.keys(CONFIG.NEWS_FEEDBACK_WEIGHTS).join(', ')}` }, 400);
+  }
+
+  const auth = await requireOwner(request, env, username);
+  if (auth.error) return auth.error;
 
   const doId = env.USER_DO.idFromName(username.toLowerCase());
   const doStub = env.USER_DO.get(doId);
 
-  return await doStub.fetch(new Request('http://do/update-bookmarks', {
+  return await doStub.fetch(new Request('http://do/news/feedback', {
     method: 'POST',
-    body: JSON.stringify({ bookmarks })
+    headers: auditHeaders(request, auth.actor, '/api/news/feedback'),
+    body: JSON.stringify({ url: safeHttpUrl(url), action })
   }));
 }
 
-// ==================== 真实新闻 API ====================
-async function handleNews(request, env) {
-  const url = new URL(request.url);
-  const interests = url.searchParams.get('interests')?.split(',') || ['Tech'];
-  const news = await fetchRealNews(interests);
-  return jsonResponse(news);
-}
-
+// 返回去重后的候选池（最多 NEWS_CANDIDATE_LIMIT 条），由 rankNews / DO 的 rankNewsCandidates 排序后展示
 async function fetchRealNews(interests) {
   const allNews = [];
 
@@ -641,7 +3868,7 @@ async function fetchRealNews(interests) {
   }
 
   const uniqueNews = deduplicateNews(allNews);
-  return uniqueNews.slice(0, 8);
+  return uniqueNews.slice(0, CONFIG.NEWS_CANDIDATE_LIMIT);
 }
 
 async function fetchHackerNews() {
@@ -649,7 +3876,7 @@ async function fetchHackerNews() {
     const topStoriesRes = await fetch(`${CONFIG.NEWS_SOURCES.HACKER_NEWS}/topstories.json`);
     const topStories = await topStoriesRes.json();
     
-    const storyIds = topStories.slice(0, 5);
+    const storyIds = topStories.slice(0, CONFIG.NEWS_CANDIDATES.hackerNews);
     const stories = await Promise.all(
       storyIds.map(async (id) => {
         const res = await fetch(`${CONFIG.NEWS_SOURCES.HACKER_NEWS}/item/${id}.json`);
@@ -664,6 +3891,8 @@ async function fetchHackerNews() {
         url: story.url || `https://news.ycombinator.com/item?id=${story.id}`,
         source: 'Hacker News',
         time: formatTimeAgo(story.time * 1000),
+        publishedAt: story.time * 1000,
+        excerpt: htmlToText(story.text || ''), // Ask HN 等没有外链的帖子正文
         score: story.score,
         category: 'Tech'
       }));
@@ -688,7 +3917,7 @@ async function fetchDevToNews(interests) {
       .join(',')
       .split(',')[0] || 'programming';
 
-    const res = await fetch(`${CONFIG.NEWS_SOURCES.DEV_TO}?tag=${tags}&per_page=4&top=1`);
+    const res = await fetch(`${CONFIG.NEWS_SOURCES.DEV_TO}?tag=${tags}&per_page=${CONFIG.NEWS_CANDIDATES.devTo}&top=1`);
     const articles = await res.json();
 
     return articles.map(article => ({
@@ -696,6 +3925,8 @@ async function fetchDevToNews(interests) {
       url: article.url,
       source: 'Dev.to',
       time: formatTimeAgo(new Date(article.published_at).getTime()),
+      publishedAt: new Date(article.published_at).getTime(),
+      excerpt: [article.description, article.tag_list?.length > 0 && `标签：${article.tag_list.join(', ')}`].filter(Boolean).join('\n'),
       author: article.user?.name || article.user?.username,
       category: 'Tech',
       reactions: article.public_reactions_count
@@ -711,7 +3942,7 @@ async function fetchGitHubTrending() {
     const res = await fetch(
       'https://api.github.com/search/repositories?q=created:>' + 
       getDateDaysAgo(7) + 
-      '&sort=stars&order=desc&per_page=3',
+      `&sort=stars&order=desc&per_page=${CONFIG.NEWS_CANDIDATES.githubTrending}`,
       { headers: { 'User-Agent': 'MyEdge-Portfolio' } }
     );
     const data = await res.json();
@@ -721,6 +3952,8 @@ async function fetchGitHubTrending() {
       url: repo.html_url,
       source: 'GitHub Trending',
       time: formatTimeAgo(new Date(repo.created_at).getTime()),
+      publishedAt: new Date(repo.created_at).getTime(),
+      excerpt: [repo.description, repo.language && `语言：${repo.language}`, repo.topics?.length > 0 && `主题：${repo.topics.join(', ')}`].filter(Boolean).join('\n'),
       stars: repo.stargazers_count,
       category: 'Tech'
     }));
@@ -738,11 +3971,13 @@ async function fetchFinanceNews() {
 
     if (data.status !== 'ok') return [];
 
-    return (data.items || []).slice(0, 3).map(item => ({
+    return (data.items || []).slice(0, CONFIG.NEWS_CANDIDATES.finance).map(item => ({
       title: item.title,
       url: item.link,
       source: 'Yahoo Finance',
       time: formatTimeAgo(new Date(item.pubDate).getTime()),
+      publishedAt: new Date(item.pubDate).getTime() || null,
+      excerpt: htmlToText(item.description || ''),
       category: 'Finance'
     }));
   } catch (error) {
@@ -751,14 +3986,211 @@ async function fetchFinanceNews() {
   }
 }
 
-function deduplicateNews(news) {
-  const seen = new Set();
-  return news.filter(item => {
-    const key = item.title.toLowerCase().substring(0, 50);
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+function deduplicateNews(news) {
+  const seen = new Set();
+  return news.filter(item => {
+    const key = item.title.toLowerCase().substring(0, 50);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ==================== 新闻排序 ====================
+// 综合分 = 相似度、新鲜度、热度按 NEWS_RANKING_WEIGHTS 加权，去掉隐藏的新闻后取前 NEWS_DISPLAY_COUNT 条
+// similarities 与 candidates 一一对应；为 null 时（公开的 /api/news 或嵌入失败）只看新鲜度和热度
+function rankNews(candidates, { similarities = null, hidden = [], now = Date.now() } = {}) {
+  const weights = similarities ? CONFIG.NEWS_RANKING_WEIGHTS : { ...CONFIG.NEWS_RANKING_WEIGHTS, similarity: 0 };
+  const hiddenUrls = new Set(hidden);
+
+  // 各来源的热度指标不同（HN 分数、Dev.to 点赞、GitHub star），按来源内的最大值归一化
+  const maxPopularity = {};
+  for (const item of candidates) {
+    maxPopularity[item.source] = Math.max(maxPopularity[item.source] || 0, newsPopularity(item));
+  }
+  // 嵌入相似度通常集中在很窄的区间，缩放到 0-1 后再和其他分量加权
+  const minSimilarity = similarities ? Math.min(...similarities) : 0;
+  const similarityRange = similarities ? Math.max(...similarities) - minSimilarity : 0;
+
+  return candidates
+    .map((item, i) => {
+      const similarity = similarityRange > 0 ? (similarities[i] - minSimilarity) / similarityRange : 0;
+      const freshness = item.publishedAt
+        ? Math.pow(0.5, Math.max(0, now - item.publishedAt) / CONFIG.NEWS_FRESHNESS_HALF_LIFE)
+        : 0;
+      const popularity = maxPopularity[item.source] > 0
+        ? Math.log1p(newsPopularity(item)) / Math.log1p(maxPopularity[item.source])
+        : 0;
+      return {
+        item,
+        rank: weights.similarity * similarity + weights.freshness * freshness + weights.popularity * popularity
+      };
+    })
+    .filter(({ item }) => !hiddenUrls.has(item.url))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, CONFIG.NEWS_DISPLAY_COUNT)
+    .map(({ item }) => item);
+}
+
+function newsPopularity(item) {
+  return item.score || item.reactions || item.stars || 0;
+}
+
+// 用于和新闻标题比较的所有者资料
+function buildNewsProfileText(userData) {
+  return [
+    userData.skills?.length > 0 && `Skills: ${userData.skills.join(', ')}`,
+    userData.interests?.length > 0 && `Interests: ${userData.interests.join(', ')}`,
+    userData.aiBio || userData.userBio
+  ].filter(Boolean).join('\n');
+}
+
+async function newsEmbeddingKey(url) {
+  return `newsEmbedding:${(await sha256Hex(url)).slice(0, 16)}`;
+}
+
+// 批量向量化，返回单位长度的 Float32Array（点积即余弦相似度）
+async function embedTexts(ai, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += CONFIG.EMBEDDING_BATCH_SIZE) {
+    const { data } = await ai.run(CONFIG.EMBEDDING_MODEL, { text: texts.slice(i, i + CONFIG.EMBEDDING_BATCH_SIZE) });
+    vectors.push(...data.map(vector => normalizeVector(Float32Array.from(vector))));
+  }
+  return vectors;
+}
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(dotProduct(vector, vector));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// 资料向量加上点击过的新闻方向、减去隐藏过的新闻方向
+function combineNewsPreference(profile, { click, hide }) {
+  const weights = CONFIG.NEWS_FEEDBACK_WEIGHTS;
+  return normalizeVector(profile.map((value, i) =>
+    value + (click ? weights.click * click.vector[i] : 0) - (hide ? weights.hide * hide.vector[i] : 0)
+  ));
+}
+
+// 反馈向量取滑动平均，越新的反馈权重越大
+function accumulateNewsFeedback(previous, vector) {
+  if (!previous) return { vector, count: 1 };
+  const decay = CONFIG.NEWS_FEEDBACK_DECAY;
+  return {
+    vector: normalizeVector(previous.vector.map((value, i) => decay * value + (1 - decay) * vector[i])),
+    count: previous.count + 1
+  };
+}
+
+// ==================== 新闻摘要 ====================
+// 为展示的新闻生成一句中文摘要：优先依据文章正文，抓取失败时用来源提供的简介（HN 帖子正文、Dev.to 描述等）
+// 摘要按 URL 全局缓存在 R2 中，同一篇文章在所有页面只生成一次；失败的条目不显示摘要，下次刷新重试
+async function attachNewsSummaries(env, news) {
+  return await mapWithConcurrency(news, CONFIG.NEWS_SUMMARY_CONCURRENCY, async (item) => {
+    if (item.summary) return item;
+
+    try {
+      const summary = await getNewsSummary(env, item);
+      return summary ? { ...item, summary } : item;
+    } catch (error) {
+      console.error(`News summary error for ${item.url}:`, error);
+      return item;
+    }
+  });
+}
+
+// 重排后的新闻沿用 previous 中同一 URL 已有的摘要，未变化的条目原样返回
+function carryNewsSummaries(news, previous = []) {
+  const known = new Map((previous || []).filter(item => item.summary).map(item => [item.url, item.summary]));
+  return news.map(item => item.summary || !known.has(item.url) ? item : { ...item, summary: known.get(item.url) });
+}
+
+async function getNewsSummary(env, item) {
+  const key = `news-summaries/${await sha256Hex(item.url)}.json`;
+  const cached = await env.R2_BUCKET?.get(key);
+  if (cached) return (await cached.json()).summary;
+  if (!env.AI) return null;
+
+  const article = await fetchArticleText(item.url);
+  // 只有标题时不生成，避免模型凭标题编造
+  if (!article && !item.excerpt) return null;
+
+  const model = resolveTextModel(env, 'newsSummary', {}, 'zh');
+  const summary = await generateNewsSummary(env.AI, model, item, article || item.excerpt);
+  await env.R2_BUCKET?.put(key, JSON.stringify({
+    url: item.url,
+    summary,
+    basis: article ? 'article' : 'metadata',
+    model: model.id,
+    generatedAt: Date.now()
+  }), { httpMetadata: { contentType: 'application/json' } });
+  return summary;
+}
+
+// 抓取文章页面，提取 description 和正文段落；不是 HTML、正文太短或超时返回空字符串
+async function fetchArticleText(url) {
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'MyEdge-Portfolio', 'Accept': 'text/html' },
+      signal: AbortSignal.timeout(CONFIG.NEWS_ARTICLE_TIMEOUT)
+    });
+    if (!response.ok || !(response.headers.get('Content-Type') || '').includes('text/html')) return '';
+
+    const text = extractArticleText((await response.text()).slice(0, CONFIG.NEWS_ARTICLE_MAX_BYTES));
+    return text.length >= CONFIG.NEWS_ARTICLE_MIN_LENGTH ? text : '';
+  } catch (error) {
+    console.error(`Article fetch error for ${url}:`, error);
+    return '';
+  }
+}
+
+function extractArticleText(html) {
+  const description = html.match(/<meta[^>]+(?:name|property)=["'](?:og:)?description["'][^>]*>/i)?.[0]
+    .match(/content=["']([^"']*)["']/i)?.[1] || '';
+  const body = html.replace(/<(script|style|noscript|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, ' ');
+  const paragraphs = [...body.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(match => htmlToText(match[1]))
+    .filter(paragraph => paragraph.length > 40);
+
+  return [htmlToText(description), ...paragraphs].filter(Boolean).join('\n').slice(0, CONFIG.NEWS_ARTICLE_MAX_LENGTH);
+}
+
+async function generateNewsSummary(ai, model, item, context) {
+  const range = CONFIG.NEWS_SUMMARY_LENGTH;
+  const prompt = `用一句中文概括这篇文章，帮助读者判断是否值得点开。
+
+标题：${item.title}
+来源：${item.source}
+内容：
+${context}
+
+要求：
+1. 说清楚文章的核心内容或结论，不要只是翻译标题
+2. 只依据上面的内容，不要编造
+3. 专有名词、产品名保留原文
+4. ${describeLength(range, 'zh')}
+5. 只输出 JSON：{"summary": "摘要内容"}`;
+
+  const output = await runStructuredTextModel(ai, model, prompt, {
+    label: 'news-summary',
+    schema: {
+      type: 'object',
+      properties: { summary: { type: 'string' } },
+      required: ['summary']
+    },
+    maxTokens: 200,
+    validate: ({ summary }) => typeof summary === 'string'
+      ? validateAIText(summary.trim(), 'zh', range)
+      : ['缺少 summary 字段']
   });
+
+  return output.summary.trim();
 }
 
 function formatTimeAgo(timestamp) {
@@ -769,6 +4201,7 @@ function formatTimeAgo(timestamp) {
   const hours = Math.floor(diff / 3600000);
   const days = Math.floor(diff / 86400000);
 
+  if (minutes < 1) return '刚刚';
   if (minutes < 60) return `${minutes}分钟前`;
   if (hours < 24) return `${hours}小时前`;
   if (days < 7) return `${days}天前`;
@@ -1597,6 +5030,9 @@ const INTERNATIONAL_CITIES = [
 
 
 async function handleWeather(request, env) {
+  const limited = await enforceRateLimit(request, env, 'weather');
+  if (limited) return limited;
+
   const url = new URL(request.url);
   const city = url.searchParams.get('city') || CONFIG.DEFAULT_CITY;
   const weather = await fetchWeather(env, city);
@@ -1774,15 +5210,20 @@ function getWeatherEmojiFromWttr(weatherCode) {
 }
 
 // ==================== GitHub API ====================
-async function fetchGitHubData(username, env) {
+function githubHeaders(env, accept = 'application/vnd.github.v3+json') {
   const headers = {
     'User-Agent': 'MyEdge-Portfolio',
-    'Accept': 'application/vnd.github.v3+json'
+    'Accept': accept
   };
-  
+
   if (env?.GITHUB_TOKEN) {
     headers['Authorization'] = `token ${env.GITHUB_TOKEN}`;
   }
+  return headers;
+}
+
+async function fetchGitHubData(username, env) {
+  const headers = githubHeaders(env);
 
   try {
     const [userRes, reposRes] = await Promise.all([
@@ -1820,8 +5261,263 @@ async function fetchGitHubData(username, env) {
   }
 }
 
+// ==================== README 摘要 ====================
+// 精选仓库的 README 摘要，previous 为已保存的摘要；只为 repos 中的仓库拉取，其余沿用已保存的
+async function loadReadmeDigests(env, owner, featured, repos, previous = {}) {
+  const entries = await Promise.all(featured.map(async (repo) => [
+    repo.name,
+    repos.includes(repo)
+      ? await fetchReadmeDigest(env, owner, repo, previous[repo.name])
+      : previous[repo.name] || null
+  ]));
+  return Object.fromEntries(entries.filter(([, digest]) => digest));
+}
+
+// pushed_at 未变时 README 不会变，直接沿用；否则带 ETag 条件请求，304 时沿用
+// 拉取失败时返回旧摘要（没有则为空摘要），不影响描述生成
+async function fetchReadmeDigest(env, owner, repo, previous) {
+  const empty = { pushedAt: null, etag: null, digest: '' };
+  if (previous && repo.pushed_at && previous.pushedAt === repo.pushed_at) return previous;
+
+  const headers = githubHeaders(env, 'application/vnd.github.raw+json');
+  if (previous?.etag) headers['If-None-Match'] = previous.etag;
+
+  try {
+    const response = await fetch(`https://api.github.com/repos/${repo.full_name || `${owner}/${repo.name}`}/readme`, { headers });
+
+    if (response.status === 304) return { ...previous, pushedAt: repo.pushed_at };
+    if (response.status === 404) return { ...empty, pushedAt: repo.pushed_at };
+    if (!response.ok) throw new Error(`GitHub API 错误: ${response.status}`);
+
+    const markdown = (await response.text()).slice(0, CONFIG.README_MAX_BYTES);
+    return {
+      pushedAt: repo.pushed_at,
+      etag: response.headers.get('ETag'),
+      digest: digestReadme(markdown)
+    };
+  } catch (error) {
+    console.error(`README fetch error for ${repo.name}:`, error);
+    return previous || empty;
+  }
+}
+
+// 保留开头的介绍和功能、用法类章节，去掉徽章、图片、代码块和 HTML
+const README_KEY_SECTIONS = /feature|overview|about|introduction|usage|example|highlight|why|what|特性|功能|简介|介绍|概述|用法|使用|亮点|示例/i;
+const README_SKIP_SECTIONS = /install|setup|build|develop|contribut|license|changelog|credit|sponsor|support|faq|todo|安装|部署|构建|开发|贡献|许可|协议|更新日志|致谢|赞助|常见问题/i;
+
+function digestReadme(markdown) {
+  const text = markdown
+    .replace(/\r\n/g, '\n')
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(\|.*\|)\s*$/gm, '')
+    .replace(/[*_`]+/g, '');
+
+  // 按标题切分：第一个二级标题之前（含一级标题下）的内容视为介绍
+  const sections = [{ heading: '', intro: true, lines: [] }];
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      const intro = heading[1].length === 1 && sections.length === 1;
+      sections.push({ heading: intro ? '' : heading[2].trim(), intro, lines: [] });
+    } else {
+      sections.at(-1).lines.push(line);
+    }
+  }
+
+  const kept = sections.filter(section =>
+    section.intro ||
+    (README_KEY_SECTIONS.test(section.heading) && !README_SKIP_SECTIONS.test(section.heading))
+  );
+
+  const digest = kept
+    .map(section => {
+      const body = section.lines
+        .map(line => line.trim().replace(/^([-*+]|\d+\.)\s+/, '• '))
+        .filter(Boolean)
+        .join(' ');
+      return body && (section.heading ? `${section.heading}：${body}` : body);
+    })
+    .filter(Boolean)
+    .join('\n')
+    .replace(/[ \t]{2,}/g, ' ');
+
+  return digest.length > CONFIG.README_DIGEST_MAX_LENGTH
+    ? digest.slice(0, CONFIG.README_DIGEST_MAX_LENGTH) + '…'
+    : digest;
+}
+
+// ==================== GitHub 动态 ====================
+// 拉取公开事件直到早于 since（所有者时区的日期），只保留推送、PR、Issue 和 Release
+// 带 ETag 条件请求，没有新事件时返回 { notModified: true }
+async function fetchGitHubEvents(env, username, { etag, since, timezone }) {
+  const events = [];
+  let latestEtag = null;
+
+  for (let page = 1; page <= CONFIG.GITHUB_EVENTS_MAX_PAGES; page++) {
+    const headers = githubHeaders(env);
+    if (page === 1 && etag) headers['If-None-Match'] = etag;
+
+    const response = await fetch(`https://api.github.com/users/${username}/events/public?per_page=100&page=${page}`, { headers });
+    if (response.status === 304) return { notModified: true, events: [], etag };
+    if (!response.ok) throw new Error(`GitHub API 错误: ${response.status}`);
+    if (page === 1) latestEtag = response.headers.get('ETag');
+
+    const batch = await response.json();
+    for (const event of batch) {
+      const normalized = normalizeGitHubEvent(event, timezone);
+      if (normalized) events.push(normalized);
+    }
+    if (batch.length < 100 || localDate(Date.parse(batch[batch.length - 1].created_at), timezone) < since) break;
+  }
+
+  return { notModified: false, events, etag: latestEtag };
+}
+
+function normalizeGitHubEvent(event, timezone) {
+  const { payload = {} } = event;
+  const base = {
+    id: event.id,
+    type: event.type,
+    repo: event.repo?.name || '',
+    week: isoWeek(localDate(Date.parse(event.created_at), timezone))
+  };
+
+  switch (event.type) {
+    case 'PushEvent': {
+      const commits = payload.commits || [];
+      return {
+        ...base,
+        commits: payload.size ?? commits.length,
+        messages: commits.map(commit => (commit.message || '').split('\n')[0]).filter(Boolean)
+      };
+    }
+    case 'PullRequestEvent':
+      if (!['opened', 'closed', 'reopened'].includes(payload.action)) return null;
+      return { ...base, action: payload.pull_request?.merged ? 'merged' : payload.action, title: payload.pull_request?.title || '' };
+    case 'IssuesEvent':
+      if (!['opened', 'closed', 'reopened'].includes(payload.action)) return null;
+      return { ...base, action: payload.action, title: payload.issue?.title || '' };
+    case 'ReleaseEvent':
+      if (payload.action !== 'published') return null;
+      return { ...base, action: 'published', title: payload.release?.name || payload.release?.tag_name || '' };
+    default:
+      return null;
+  }
+}
+
+// 同一周的事件集合没有变化时不重新总结
+async function signEvents(events) {
+  return (await sha256Hex(events.map(event => event.id).join(','))).slice(0, 16);
+}
+
+// 按仓库汇总一周的事件，仓库按事件数从多到少排列
+function summarizeWeekActivity(week, events) {
+  const emptyCounts = () => ({ pushes: 0, commits: 0, pullRequests: 0, issues: 0, releases: 0 });
+  const counts = emptyCounts();
+  const repos = new Map();
+  const labels = {
+    PullRequestEvent: { opened: '提交 PR', merged: '合并 PR', closed: '关闭 PR', reopened: '重新打开 PR' },
+    IssuesEvent: { opened: '创建 Issue', closed: '关闭 Issue', reopened: '重新打开 Issue' },
+    ReleaseEvent: { published: '发布' }
+  };
+  const keys = { PushEvent: 'pushes', PullRequestEvent: 'pullRequests', IssuesEvent: 'issues', ReleaseEvent: 'releases' };
+
+  for (const event of events) {
+    if (!repos.has(event.repo)) repos.set(event.repo, { name: event.repo, counts: emptyCounts(), events: 0, highlights: [] });
+    const repo = repos.get(event.repo);
+    const key = keys[event.type];
+
+    repo.events += 1;
+    repo.counts[key] += 1;
+    counts[key] += 1;
+    if (event.type === 'PushEvent') {
+      repo.counts.commits += event.commits;
+      counts.commits += event.commits;
+      repo.highlights.push(...event.messages.map(message => `提交：${message}`));
+    } else if (event.title) {
+      repo.highlights.push(`${labels[event.type][event.action]}：${event.title}`);
+    }
+  }
+
+  return {
+    week,
+    ...isoWeekRange(week),
+    counts,
+    repos: [...repos.values()]
+      .sort((a, b) => b.events - a.events)
+      .map(({ events: _, highlights, ...repo }) => ({
+        ...repo,
+        // 事件按时间倒序返回，保留最近的几条
+        highlights: [...new Set(highlights)].slice(0, CONFIG.DIGEST_HIGHLIGHTS_PER_REPO)
+      }))
+  };
+}
+
+// 页面上的动态计数标签
+const DIGEST_COUNT_LABELS = { pushes: '推送', commits: '提交', pullRequests: 'PR', issues: 'Issue', releases: '发布' };
+
+// 「推送 3 次（12 个提交）、PR 2 个」，省略为 0 的项
+function describeActivityCounts(counts) {
+  return [
+    counts.pushes > 0 && `推送 ${counts.pushes} 次（${counts.commits} 个提交）`,
+    counts.pullRequests > 0 && `PR ${counts.pullRequests} 个`,
+    counts.issues > 0 && `Issue ${counts.issues} 个`,
+    counts.releases > 0 && `发布 ${counts.releases} 个版本`
+  ].filter(Boolean).join('、');
+}
+
+// 用主语言总结一周的动态，使用部署默认的文本模型；没有事件时不调用模型
+async function generateAIWeeklyDigest(env, userData, activity) {
+  const language = userData.aiLanguage;
+  const generatedAt = Date.now();
+  if (activity.repos.length === 0) {
+    return { summary: null, language, model: null, generatedAt };
+  }
+
+  const model = resolveTextModel(env, 'digest', {}, language);
+  const range = CONFIG.DIGEST_LENGTH[CONFIG.CONTENT_LANGUAGES[language].unit];
+  const prompt = `为开发者 ${userData.github.name || userData.username} 写一段 ${activity.start} 至 ${activity.end} 这一周的 GitHub 动态总结。
+
+本周公开动态（按仓库）：
+${activity.repos.map(repo => [
+  `- ${repo.name}：${describeActivityCounts(repo.counts)}`,
+  ...repo.highlights.map(highlight => `  · ${highlight}`)
+].join('\n')).join('\n')}
+
+要求：
+1. 概括这一周主要在做什么，突出最重要的进展
+2. 只依据上面列出的动态，不要编造没有出现的工作
+3. 使用第三人称，仓库名保留原文
+4. ${describeLength(range, language)}
+5. 使用${CONFIG.CONTENT_LANGUAGES[language].name}
+6. 只输出 JSON：{"summary": "总结内容"}`;
+
+  const output = await runStructuredTextModel(env.AI, model, prompt, {
+    label: `digest:${language}`,
+    schema: {
+      type: 'object',
+      properties: { summary: { type: 'string' } },
+      required: ['summary']
+    },
+    maxTokens: 400,
+    validate: ({ summary }) => typeof summary === 'string'
+      ? validateAIText(summary.trim(), language, range)
+      : ['缺少 summary 字段']
+  });
+
+  return { summary: output.summary.trim(), language, model: model.id, generatedAt };
+}
+
 // ==================== AI 内容生成 ====================
-async function generateAllAIContent(env, githubData, userBio, interests) {
+// models 为所有者设置中按字段选择的模型（settings.models），languages 为启用的内容语言
+// 第一个语言的内容作为顶层字段返回，其他语言放在 locales 中；onProgress 在每个字段完成时调用
+// previous 为已有的 userData：指纹未变、模型相同的仓库直接沿用上次的项目描述
+async function generateAllAIContent(env, githubData, userBio, interests, { models = {}, languages = ['zh'], bioStyle, previous = null, onProgress = () => {} } = {}) {
   const { user, repos } = githubData;
   const skills = extractSkills(repos);
 
@@ -1837,13 +5533,76 @@ async function generateAllAIContent(env, githubData, userBio, interests) {
   try {
     console.log('Testing AI binding...');
     
-    const [bio, projectDescriptions, quote] = await Promise.all([
-      generateAIBio(env.AI, user, userBio, repos),
-      generateAIProjectDescriptions(env.AI, repos),
-      generateAIQuote(env.AI, user, interests, skills)
-    ]);
+    // 出错的字段先上报再继续抛出
+    const track = (step, language, promise) => promise.then(
+      (result) => {
+        onProgress({ step, language, status: 'done' });
+        return result;
+      },
+      (error) => {
+        onProgress({ step, language, status: 'error', error: error.message });
+        throw error;
+      }
+    );
+
+    const fingerprints = await fingerprintRepos(repos);
+    const cached = Object.fromEntries(languages.map(language => [
+      language,
+      getCachedProjectDescriptions(previous, language, resolveTextModel(env, 'projectDescriptions', models, language), fingerprints)
+    ]));
+
+    // 只为需要重新生成描述的精选仓库拉取 README
+    const featured = repos.filter(r => !r.fork).slice(0, 6);
+    const readmeDigests = await loadReadmeDigests(
+      env,
+      user.login,
+      featured,
+      featured.filter(repo => languages.some(language => !cached[language][repo.name])),
+      previous?.readmeDigests
+    );
+
+    const results = await Promise.all(languages.map(language => Promise.all([
+      track('bio', language, generateAIBio(env.AI, resolveTextModel(env, 'bio', models, language), user, userBio, repos, language, bioStyle)),
+      generateAIProjectDescriptions(env.AI, resolveTextModel(env, 'projectDescriptions', models, language), repos, language, {
+        cached: cached[language],
+        readmes: readmeDigests,
+        onProgress
+      }),
+      track('quote', language, generateAIQuote(env.AI, resolveTextModel(env, 'quote', models, language), user, interests, skills, language, bioStyle))
+    ])));
+
+    const [[bio, projectDescriptions, quote], ...others] = results;
+    const projectFingerprints = Object.fromEntries(languages.map((language, index) =>
+      [language, pickFingerprints(fingerprints, results[index][1].generated.concat(results[index][1].cached))]
+    ));
+    const locales = {};
+    others.forEach(([localBio, localDescriptions, localQuote], index) => {
+      locales[languages[index + 1]] = {
+        aiBio: localBio.value,
+        aiProjectDescriptions: localDescriptions.value,
+        aiQuote: localQuote.value,
+        aiModels: { bio: localBio.model, projectDescriptions: localDescriptions.model, quote: localQuote.model }
+      };
+    });
 
-    return { bio, projectDescriptions, quote, skills };
+    return {
+      bio: bio.value,
+      projectDescriptions: projectDescriptions.value,
+      quote: quote.value,
+      skills,
+      language: languages[0],
+      locales,
+      projectFingerprints,
+      readmeDigests,
+      // 模型和提示词随内容一起写入 DO 的版本历史（只记录主语言，项目描述全部沿用缓存时不记录）
+      meta: {
+        bio: { model: bio.model, prompt: bio.prompt },
+        ...(projectDescriptions.generated.length > 0 && {
+          projectDescriptions: { model: projectDescriptions.model, prompt: projectDescriptions.prompt }
+        }),
+        quote: { model: quote.model, prompt: quote.prompt }
+      }
+    };
   } catch (error) {
     console.error('AI generation error:', error);
     console.error('Error name:', error.name);
@@ -1859,15 +5618,28 @@ async function generateAllAIContent(env, githubData, userBio, interests) {
   }
 }
 
-async function generateAIBio(ai, user, userBio, repos) {
+// style 为 settings.bioStyle（语气、长度、人称、侧重点）
+async function generateAIBio(ai, model, user, userBio, repos, language = 'zh', style = {}) {
   const ownRepos = repos.filter(r => !r.fork);
   const topLanguages = extractSkills(ownRepos).slice(0, 3).join('、');
   const topRepos = ownRepos.slice(0, 3).map(r => r.name).join('、');
+  const isChinese = language === 'zh';
+  const languageName = CONFIG.CONTENT_LANGUAGES[language].name;
+  const { tone, length, person, emphasis } = resolveBioStyle(style);
+  const isFirstPerson = person.id === 'first';
+  const displayName = user.name || user.login;
+  const range = length[CONFIG.CONTENT_LANGUAGES[language].unit];
+
+  const personRule = isFirstPerson
+    ? (isChinese ? '直接以"我"字开头写简介' : `以第一人称写简介，只输出${languageName}`)
+    : `以第三人称写简介，用"${displayName}"指代本人${isChinese ? '' : `，只输出${languageName}`}`;
   
-  const prompt = `请为一位开发者创作个人简介（80-120字），直接以"我"开头，第一人称。
+  const prompt = `${isChinese
+    ? `请为一位开发者创作个人简介（${describeLength(range, language)}），${isFirstPerson ? '直接以"我"开头，第一人称。' : '第三人称。'}`
+    : `请用${languageName}为一位开发者创作个人简介（${describeLength(range, language)}），${person.label}，全文只使用${languageName}。`}
 
 开发者信息：
-- 名字：${user.name || user.login}
+- 名字：${displayName}
 - 身份：${user.company || '独立开发者'}
 - 原创项目：${ownRepos.length} 个
 - 粉丝：${user.followers} 人
@@ -1877,43 +5649,72 @@ ${user.bio ? '- 个人说明：' + user.bio : ''}
 ${userBio ? '- 补充：' + userBio : ''}
 
 严格要求：
-1. 直接以"我"字开头写简介
-2. 禁止出现：昵称、用户名、"作为"、"是一名"、"以下是"、"根据"等词
-3. 自然融入技术和成就
-4. 只输出简介内容，无任何解释`;
-
-  const response = await ai.run('@cf/meta/llama-3-8b-instruct', {
-    messages: [{ role: 'user', content: prompt }],
-    max_tokens: 300
+1. ${personRule}
+2. 禁止出现：昵称、用户名、"以下是"、"根据"等说明性文字${isFirstPerson ? '，不要以"作为"、"身为"开头' : ''}
+3. ${emphasis.prompt}，自然融入技术和成就
+4. ${tone.prompt}
+5. 只输出 JSON：{"bio": "简介内容"}`;
+
+  const output = await runStructuredTextModel(ai, model, prompt, {
+    label: `bio:${language}`,
+    schema: {
+      type: 'object',
+      properties: { bio: { type: 'string' } },
+      required: ['bio']
+    },
+    maxTokens: length.maxTokens,
+    validate: ({ bio }) => {
+      if (typeof bio !== 'string') return ['缺少 bio 字段'];
+      const text = bio.trim();
+      const problems = validateAIText(text, language, range);
+      if (isFirstPerson && /^(作为|身为)/.test(text)) problems.push('不要以"作为"、"身为"开头');
+      if (isChinese && isFirstPerson && !text.startsWith('我')) problems.push('没有以"我"开头');
+      if (isChinese && !isFirstPerson && text.startsWith('我')) problems.push('应使用第三人称');
+      return problems;
+    }
   });
 
-  let result = response.response?.trim() || '';
-  
-  result = result
-    .replace(/^(以下是|这是|根据|基于|好的|当然|没问题).*?[：:。\n]/gi, '')
-    .replace(/^(作为|身为)[^，,。]*?[，,]/gi, '')
-    .replace(/^我是一[名位个][^，,。]*?[，,]/gi, '')
-    .replace(/^[^我]*?(我)/i, '我')
-    .replace(/昵称[^，,。]*?[，,。]/gi, '')
-    .replace(/用户名[^，,。]*?[，,。]/gi, '')
-    .replace(/名字叫[^，,。]*?[，,。]/gi, '')
-    .replace(/名为[^，,。]*?[，,。]/gi, '')
-    .replace(/叫做[^，,。]*?[，,。]/gi, '')
-    .trim();
-  
-  if (!result.startsWith('我')) {
-    result = '我' + result;
-  }
-  
-  return result || `我专注于 ${topLanguages || '技术'} 领域，在 GitHub 上持续分享开源项目和技术实践，热爱用代码创造价值。`;
+  return { value: output.bio.trim(), model: model.id, prompt };
 }
 
-async function generateAIProjectDescriptions(ai, repos) {
+// cached 为可以直接沿用的描述 { repo: description }，其余仓库以有限并发逐个生成，readmes 为 README 摘要
+// 返回的 generated / cached 列出新生成和沿用的仓库，生成失败（使用仓库原描述）的不在其中
+async function generateAIProjectDescriptions(ai, model, repos, language = 'zh', { cached = {}, readmes = {}, onProgress = () => {} } = {}) {
   const descriptions = {};
+  const prompts = {};
+  const generated = [];
+  const reused = [];
   const ownRepos = repos.filter(r => !r.fork).slice(0, 6);
-  
-  for (const repo of ownRepos) {
-    const prompt = `作为技术文案专家，为这个 GitHub 项目写一句独特的亮点描述（25-50字），要突出其技术价值和创新点，不要使用套话。
+
+  await mapWithConcurrency(ownRepos, CONFIG.PROJECT_DESCRIPTION_CONCURRENCY, async (repo) => {
+    if (cached[repo.name]) {
+      descriptions[repo.name] = cached[repo.name];
+      reused.push(repo.name);
+      onProgress({ step: 'project', language, name: repo.name, status: 'done', cached: true });
+      return;
+    }
+
+    try {
+      const description = await generateAIProjectDescription(ai, model, repo, language, readmes[repo.name]?.digest);
+      descriptions[repo.name] = description.value;
+      prompts[repo.name] = description.prompt;
+      generated.push(repo.name);
+      onProgress({ step: 'project', language, name: repo.name, status: 'done' });
+    } catch (e) {
+      console.error(`Project desc error for ${repo.name}:`, e);
+      descriptions[repo.name] = `⭐ ${repo.description || '优质开源项目'}`;
+      onProgress({ step: 'project', language, name: repo.name, status: 'warning', error: '生成失败，已使用仓库原描述' });
+    }
+  });
+
+  return { value: descriptions, model: model.id, prompt: prompts, generated, cached: reused };
+}
+
+// 单个仓库的亮点描述，模型调用失败时抛出
+// readme 为 README 摘要（可为空），有摘要时以其为主要依据
+async function generateAIProjectDescription(ai, model, repo, language = 'zh', readme = '') {
+  const languageName = CONFIG.CONTENT_LANGUAGES[language].name;
+  const prompt = `作为技术文案专家，为这个 GitHub 项目写一句独特的亮点描述（25-50字），要突出其技术价值和创新点，不要使用套话。
 
 项目信息：
 - 名称：${repo.name}
@@ -1922,70 +5723,166 @@ async function generateAIProjectDescriptions(ai, repos) {
 - Fork：${repo.forks_count}
 - 描述：${repo.description || '无描述'}
 - 主题：${repo.topics?.join(', ') || '无'}
-
+${readme ? `
+README 摘要：
+${readme}
+` : ''}
 要求：
-1. 描述要具体，突出项目特色
+1. 描述要具体，突出项目特色${readme ? '，以 README 摘要中项目实际提供的功能为依据' : ''}
 2. 可以用 emoji 开头
-3. 使用中文
+3. 使用${languageName}
 4. 直接输出描述，不要有引号或额外标点`;
 
-    try {
-      const response = await ai.run('@cf/meta/llama-3-8b-instruct', {
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 100
-      });
-      descriptions[repo.name] = response.response?.trim() || `⭐ ${repo.description || '优质开源项目'}`;
-    } catch (e) {
-      console.error(`Project desc error for ${repo.name}:`, e);
-      descriptions[repo.name] = `⭐ ${repo.description || '优质开源项目'}`;
+  const response = await runTextModel(ai, model, prompt, 100);
+
+  return {
+    value: response.response?.trim() || `⭐ ${repo.description || '优质开源项目'}`,
+    model: model.id,
+    prompt
+  };
+}
+
+// 仓库指纹：推送时间、描述、topics、star 数任一变化时重新生成描述
+async function fingerprintRepos(repos) {
+  const entries = await Promise.all(repos.filter(r => !r.fork).map(async (repo) => [
+    repo.name,
+    (await sha256Hex(JSON.stringify([repo.pushed_at, repo.description, repo.topics, repo.stargazers_count]))).slice(0, 16)
+  ]));
+  return Object.fromEntries(entries);
+}
+
+function pickFingerprints(fingerprints, names) {
+  return Object.fromEntries(names.map(name => [name, fingerprints[name]]));
+}
+
+// 上次用同一模型生成、且仓库指纹未变的描述可以直接沿用；锁定的描述刷新后也会保留，无需再生成
+function getCachedProjectDescriptions(previous, language, model, fingerprints) {
+  const content = previous && getLocaleContent(previous, language);
+  if (!content?.aiProjectDescriptions) return {};
+  const previousFingerprints = previous.aiProjectFingerprints?.[language] || {};
+  const sameModel = content.aiModels?.projectDescriptions === model.id;
+
+  return Object.fromEntries(
+    Object.entries(content.aiProjectDescriptions).filter(([name]) =>
+      fingerprints[name] && (
+        isAILocked(previous, 'project', name) ||
+        (sameModel && previousFingerprints[name] === fingerprints[name])
+      )
+    )
+  );
+}
+
+// 最多 limit 个任务同时执行，结果顺序与 items 一致
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
-  }
+  };
 
-  return descriptions;
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
-async function generateAIQuote(ai, user, interests, skills) {
+// quoteStyle 为每日语录的风格（QUOTE_STYLES），history 为需要避开的历史语录 [{ date, text }]
+async function generateAIQuote(ai, model, user, interests, skills, language = 'zh', style = {}, { quoteStyle, history = [] } = {}) {
+  const languageName = CONFIG.CONTENT_LANGUAGES[language].name;
+  const { tone } = resolveBioStyle(style);
+  const range = CONFIG.QUOTE_LENGTH[CONFIG.CONTENT_LANGUAGES[language].unit];
   const context = interests?.length > 0 ? interests.join('、') : (skills?.length > 0 ? skills.slice(0, 2).join('、') : '技术');
   
   const prompt = `作为一位智慧导师，为这位 ${context} 领域的开发者 ${user.name || user.login} 创作一句独特的励志名言或智慧语录。
 
 要求：
 1. 内容要与 ${context} 领域相关
-2. 要有深度和启发性，不要陈词滥调
-3. 30-60字
-4. 可以是原创格言，也可以化用经典
-5. 格式严格为："名言内容" —— 来源
-6. 使用中文
-7. 直接输出，不要有额外说明
+2. 要有深度和启发性，不要陈词滥调，${tone.quote}
+3. ${describeLength(range, language)}
+4. ${quoteStyle ? CONFIG.QUOTE_STYLES[quoteStyle].prompt : '可以是原创格言，也可以化用经典'}
+5. 使用${languageName}
+6. 只输出 JSON：{"quote": "名言内容", "author": "来源"}
+${history.length > 0 ? `7. 不要与以下最近用过的语录重复或雷同：
+${history.slice(0, CONFIG.QUOTE_PROMPT_HISTORY).map(entry => `- ${entry.text}`).join('\n')}
+` : ''}
+示例：
+{"quote": "代码如诗，每一行都在诉说创造的故事。", "author": "技术哲思"}`;
+
+  const output = await runStructuredTextModel(ai, model, prompt, {
+    label: `quote:${language}`,
+    schema: {
+      type: 'object',
+      properties: { quote: { type: 'string' }, author: { type: 'string' } },
+      required: ['quote', 'author']
+    },
+    maxTokens: 200,
+    validate: ({ quote, author }) => {
+      if (typeof quote !== 'string' || typeof author !== 'string') return ['缺少 quote 或 author 字段'];
+      const problems = validateAIText(stripQuoteMarks(quote), language, range);
+      if (!author.trim() || author.trim().length > CONFIG.AI_TEXT_MAX_LENGTH.author) problems.push('author 为空或过长');
+      const similar = history.find(entry => quoteSimilarity(entry.text, stripQuoteMarks(quote)) > CONFIG.QUOTE_SIMILARITY_MAX);
+      if (similar) problems.push(`与 ${similar.date} 的语录「${similar.text}」过于相似`);
+      return problems;
+    }
+  });
+
+  return {
+    value: { text: stripQuoteMarks(output.quote), author: output.author.trim() },
+    model: model.id,
+    prompt
+  };
+}
 
-示例格式：
-"代码如诗，每一行都在诉说创造的故事。" —— 技术哲思`;
+// 生成某一天的每日语录：所有启用的语言使用同一种风格，主语言与历史语录查重
+async function buildDailyQuote(env, userData, date, history) {
+  const { github, interests, skills, settings } = userData;
+  const quoteStyle = pickQuoteStyle(history, settings.bannedQuoteStyles);
+  const [primary, ...others] = await Promise.all(settings.languages.map(language =>
+    generateAIQuote(env.AI, resolveTextModel(env, 'quote', settings.models, language), github, interests, skills, language, settings.bioStyle, {
+      quoteStyle,
+      history: language === userData.aiLanguage ? history : []
+    })
+  ));
 
-  try {
-    const response = await ai.run('@cf/meta/llama-3-8b-instruct', {
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 150
-    });
+  return {
+    date,
+    style: quoteStyle,
+    value: primary.value,
+    locales: Object.fromEntries(others.map((quote, index) => [settings.languages[index + 1], quote.value])),
+    model: primary.model,
+    prompt: primary.prompt
+  };
+}
 
-    const text = response.response?.trim() || '';
-    const match = text.match(/[""「](.+?)[""」].*[——\-—]+\s*(.+)/);
-    if (match) {
-      return { text: match[1].trim(), author: match[2].trim() };
-    }
-    
-    const parts = text.split(/[——\-—]+/);
-    if (parts.length >= 2) {
-      return { 
-        text: parts[0].replace(/["""「」]/g, '').trim(), 
-        author: parts[1].trim() 
-      };
+// 从未用过的风格优先，其次是最久没用的
+function pickQuoteStyle(history, banned = []) {
+  const allowed = Object.keys(CONFIG.QUOTE_STYLES).filter(style => !banned.includes(style));
+  const lastUsed = (style) => history.find(entry => entry.style === style)?.date || '';
+  return allowed.reduce((best, style) => lastUsed(style) < lastUsed(best) ? style : best);
+}
+
+// 去掉空白和标点后按字符二元组计算 Dice 系数，1 表示相同
+function quoteSimilarity(a, b) {
+  const bigrams = (text) => {
+    const chars = [...text.toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '')];
+    const counts = new Map();
+    for (let i = 0; i < chars.length - 1; i++) {
+      const bigram = chars[i] + chars[i + 1];
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
     }
+    return counts;
+  };
 
-    return { text: text.replace(/["""「」]/g, '').substring(0, 60), author: 'AI 智慧' };
-  } catch (error) {
-    console.error('Quote generation error:', error);
-    throw error;
-  }
+  const left = bigrams(a);
+  const right = bigrams(b);
+  const total = [...left.values(), ...right.values()].reduce((sum, n) => sum + n, 0);
+  if (total === 0) return a === b ? 1 : 0;
+
+  let shared = 0;
+  for (const [bigram, count] of left) shared += Math.min(count, right.get(bigram) || 0);
+  return (2 * shared) / total;
 }
 
 function extractSkills(repos) {
@@ -2012,59 +5909,73 @@ function getDefaultBookmarks() {
 
 // ==================== 图像生成 & R2 存储 ====================
 // 生成背景图和社交卡片图
-async function generateAndStoreImages(env, username, user, skills, bio) {
+async function generateAndStoreImages(env, username, user, skills, bio, onProgress = () => {}) {
   const results = {
     backgroundUrl: null,
     cardImageUrl: null
   };
 
-  const skillContext = skills.slice(0, 3).join(', ') || 'technology';
-  
   try {
-    // 1. 生成个性化背景图（页面背景）
-    const backgroundPrompt = `Create a stunning, modern abstract technology background. Theme: ${skillContext} development. Style: dark gradient with glowing geometric patterns, circuit-like lines, floating particles, deep purple and blue tones, futuristic, professional. Perfect for a developer portfolio. High quality, 4K feel, no text.`;
-
-    const backgroundResponse = await env.AI.run('@cf/stabilityai/stable-diffusion-xl-base-1.0', {
-      prompt: backgroundPrompt,
-      width: 1920,
-      height: 1080
-    });
-
-    const bgKey = `backgrounds/${username}-bg-${Date.now()}.png`;
-    await env.R2_BUCKET.put(bgKey, backgroundResponse, {
-      httpMetadata: { contentType: 'image/png' }
-    });
-    results.backgroundUrl = `/assets/${bgKey}`;
-
-    // 2. 生成社交卡片图（1200x630 用于 OG 预览）
-    const displayName = user?.name || username;
-    const shortBio = (bio || '').substring(0, 50);
-    
-    const cardPrompt = `Create a professional social media card image for a developer named "${displayName}". Theme: ${skillContext}. Style: modern gradient background (purple to blue), abstract tech patterns, geometric shapes, professional and clean. The image should work well as an Open Graph preview card. No text, just visual design. Size optimized for 1200x630.`;
-
-    const cardResponse = await env.AI.run('@cf/stabilityai/stable-diffusion-xl-base-1.0', {
-      prompt: cardPrompt,
-      width: 1200,
-      height: 630
-    });
-
-    const cardKey = `cards/${username}-card-${Date.now()}.png`;
-    await env.R2_BUCKET.put(cardKey, cardResponse, {
-      httpMetadata: { contentType: 'image/png' }
-    });
-    results.cardImageUrl = `/assets/${cardKey}`;
+    results.backgroundUrl = await generateBackgroundImage(env, username, skills);
+    onProgress({ step: 'image', name: 'background', status: 'done' });
+  } catch (e) {
+    console.error('Background image error:', e);
+    onProgress({ step: 'image', name: 'background', status: 'warning', error: '背景图生成失败，使用默认渐变背景' });
+  }
 
+  try {
+    results.cardImageUrl = await generateCardImage(env, username, user, skills);
+    onProgress({ step: 'image', name: 'card', status: 'done' });
   } catch (e) {
-    console.error('Image generation error:', e);
+    console.error('Card image error:', e);
     // 如果图像生成失败，使用头像作为备用
     if (user?.avatar_url) {
       results.cardImageUrl = user.avatar_url;
     }
+    onProgress({ step: 'image', name: 'card', status: 'warning', error: '社交卡片图生成失败，使用头像代替' });
   }
 
   return results;
 }
 
+// 个性化背景图（页面背景），返回 /assets/ 地址
+async function generateBackgroundImage(env, username, skills) {
+  const skillContext = skills.slice(0, 3).join(', ') || 'technology';
+  const backgroundPrompt = `Create a stunning, modern abstract technology background. Theme: ${skillContext} development. Style: dark gradient with glowing geometric patterns, circuit-like lines, floating particles, deep purple and blue tones, futuristic, professional. Perfect for a developer portfolio. High quality, 4K feel, no text.`;
+
+  const backgroundResponse = await env.AI.run('@cf/stabilityai/stable-diffusion-xl-base-1.0', {
+    prompt: backgroundPrompt,
+    width: 1920,
+    height: 1080
+  });
+
+  const bgKey = `backgrounds/${username}-bg-${Date.now()}.png`;
+  await env.R2_BUCKET.put(bgKey, backgroundResponse, {
+    httpMetadata: { contentType: 'image/png' }
+  });
+  return `/assets/${bgKey}`;
+}
+
+// 社交卡片图（1200x630 用于 OG 预览），返回 /assets/ 地址
+async function generateCardImage(env, username, user, skills) {
+  const skillContext = skills.slice(0, 3).join(', ') || 'technology';
+  const displayName = user?.name || username;
+  
+  const cardPrompt = `Create a professional social media card image for a developer named "${displayName}". Theme: ${skillContext}. Style: modern gradient background (purple to blue), abstract tech patterns, geometric shapes, professional and clean. The image should work well as an Open Graph preview card. No text, just visual design. Size optimized for 1200x630.`;
+
+  const cardResponse = await env.AI.run('@cf/stabilityai/stable-diffusion-xl-base-1.0', {
+    prompt: cardPrompt,
+    width: 1200,
+    height: 630
+  });
+
+  const cardKey = `cards/${username}-card-${Date.now()}.png`;
+  await env.R2_BUCKET.put(cardKey, cardResponse, {
+    httpMetadata: { contentType: 'image/png' }
+  });
+  return `/assets/${cardKey}`;
+}
+
 async function serveR2Asset(env, path) {
   const key = path.replace('/assets/', '');
   
@@ -2086,7 +5997,7 @@ async function serveR2Asset(env, path) {
 }
 
 // ==================== 专属页面处理 ====================
-async function handlePortfolioPage(request, env, path) {
+async function handlePortfolioPage(request, env, path, ctx) {
   let slug;
   if (path.startsWith('/p/')) {
     slug = path.replace('/p/', '');
@@ -2098,11 +6009,36 @@ async function handlePortfolioPage(request, env, path) {
     return new Response('Invalid URL', { status: 400 });
   }
 
-  const username = slug.split('-')[0];
-  
-  const doId = env.USER_DO.idFromName(username.toLowerCase());
+  // 检测社交爬虫 - 关键逻辑
+  const userAgent = (request.headers.get('User-Agent') || '').toLowerCase();
+  const isBot = CONFIG.SOCIAL_BOTS.some(bot => userAgent.includes(bot));
+  const preferredLanguage = getPreferredLanguage(request);
+
+  const resolved = path.startsWith('/@') ? await resolveUsername(env, slug) : await resolveSlug(env, slug);
+  if (!resolved) {
+    return serveNotFoundPage();
+  }
+
+  // 旧 slug 永久跳转到当前链接
+  if (resolved.isAlias) {
+    return Response.redirect(`${new URL(request.url).origin}/p/${resolved.slug}`, 301);
+  }
+
+  const doId = env.USER_DO.idFromName(resolved.username.toLowerCase());
   const doStub = env.USER_DO.get(doId);
 
+  // 登录用户（可能是所有者）的页面不走缓存；匿名访问先取页面版本，再读取对应版本的边缘缓存
+  const session = isBot ? null : await getSession(request, env);
+  let cacheKey = null;
+  if (!session) {
+    const { version } = await (await doStub.fetch(new Request('http://do/page-version'))).json();
+    if (version) {
+      cacheKey = pageCacheKey(resolved.username, isBot ? 'social' : 'page', preferredLanguage, version);
+      const cached = await caches.default.match(cacheKey);
+      if (cached) return withConditionalGet(request, cached);
+    }
+  }
+
   const res = await doStub.fetch(new Request('http://do/get'));
   const result = await res.json();
 
@@ -2111,48 +6047,46 @@ async function handlePortfolioPage(request, env, path) {
   }
 
   const userData = result.data;
-
-  if (userData.slug !== slug && username !== slug) {
-    return serveNotFoundPage();
-  }
-
-  // 检测社交爬虫 - 关键逻辑
-  const userAgent = (request.headers.get('User-Agent') || '').toLowerCase();
-  const isBot = CONFIG.SOCIAL_BOTS.some(bot => userAgent.includes(bot));
+  const locale = selectLocale(userData, preferredLanguage);
+  const pageData = localizeUserData(userData, locale);
 
   // 如果是社交爬虫，返回轻量级 HTML（只有 meta 标签）
   if (isBot) {
-    return serveSocialPreviewPage(userData, request);
+    return await cachePageResponse(request, ctx, cacheKey, serveSocialPreviewPage(pageData, request, locale), userData);
   }
 
-  // 正常用户访问，更新动态内容
-  const now = Date.now();
-  let updates = {};
+  // 正常用户访问：先用缓存渲染，过期的天气 / 新闻在后台刷新
+  revalidateInBackground(ctx, doStub, userData);
 
-  if (!userData.cachedWeather || now - userData.timestamps.weatherUpdated > CONFIG.CACHE_TTL_WEATHER) {
-    updates.cachedWeather = await fetchWeather(env, userData.city);
-    updates.timestamps = { ...updates.timestamps, weatherUpdated: now };
+  if (session) {
+    return servePortfolioPage(pageData, request, isSameLogin(session.login, userData.username), locale);
   }
 
-  if (!userData.cachedNews || now - userData.timestamps.newsUpdated > CONFIG.CACHE_TTL_NEWS) {
-    updates.cachedNews = await fetchRealNews(userData.interests);
-    updates.timestamps = { ...updates.timestamps, newsUpdated: now };
-  }
+  // 天气 / 新闻后台刷新完成后会换新的页面版本，这里缓存的旧版本不会再被读取
+  const response = servePortfolioPage(pageData, request, false, locale);
+  return await cachePageResponse(request, ctx, cacheKey, response, userData);
+}
 
-  if (Object.keys(updates).length > 0) {
-    await doStub.fetch(new Request('http://do/update', {
-      method: 'POST',
-      body: JSON.stringify(updates)
-    }));
-    Object.assign(userData, updates);
-  }
+// 各语言版本的 og:locale 与 hreflang 标签，主语言使用不带 ?lang 的链接
+function buildLocaleMeta(baseUrl, data, locale) {
+  const locales = getAvailableLocales(data);
+  const localeUrl = (code) => `${baseUrl}/p/${data.slug}${code === locales[0] ? '' : `?lang=${code}`}`;
 
-  return servePortfolioPage(userData, request);
+  return [
+    `<meta property="og:locale" content="${CONFIG.CONTENT_LANGUAGES[locale].ogLocale}">`,
+    ...locales.filter(code => code !== locale).map(code =>
+      `<meta property="og:locale:alternate" content="${CONFIG.CONTENT_LANGUAGES[code].ogLocale}">`),
+    ...(locales.length > 1
+      ? locales.map(code => `<link rel="alternate" hreflang="${CONFIG.CONTENT_LANGUAGES[code].htmlLang}" href="${localeUrl(code)}">`)
+      : [])
+  ].join('\n  ');
 }
 
 // ==================== 页面渲染 ====================
 
-function serveEntryPage() {
+function serveEntryPage(session) {
+  const login = session?.login || '';
+
   const html = `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
@@ -2184,6 +6118,15 @@ function serveEntryPage() {
       <p class="text-lg text-white/80">AI 驱动的个人品牌 × 智能首页</p>
     </div>
 
+    ${login ? `
+    <div class="flex items-center justify-between bg-white/5 rounded-xl p-4 mb-6">
+      <span class="text-white/80">已登录为 <span class="font-semibold text-white">@${login}</span></span>
+      <a href="/auth/logout" class="text-sm text-white/60 hover:text-white transition">退出登录</a>
+    </div>` : `
+    <a href="/auth/login" class="flex items-center justify-center gap-2 w-full py-4 mb-6 bg-gray-900/80 text-white font-bold rounded-xl hover:bg-gray-900 transition">
+      🔑 使用 GitHub 登录后生成页面
+    </a>`}
+
     <form id="generate-form" class="space-y-6">
       <div>
         <label class="block text-sm font-medium mb-2">GitHub 用户名 *</label>
@@ -2193,7 +6136,7 @@ function serveEntryPage() {
               <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
             </svg>
           </span>
-          <input type="text" id="github-username" required placeholder="例如: octocat" 
+          <input type="text" id="github-username" required placeholder="登录后自动填写" value="${login}" readonly
             class="w-full pl-12 pr-4 py-4 bg-white/10 border border-white/20 rounded-xl focus:outline-none focus:ring-2 focus:ring-white/50 placeholder-white/40">
         </div>
       </div>
@@ -2223,8 +6166,22 @@ function serveEntryPage() {
           class="w-full px-4 py-4 bg-white/10 border border-white/20 rounded-xl focus:outline-none focus:ring-2 focus:ring-white/50 placeholder-white/40 resize-none"></textarea>
       </div>
 
-      <button type="submit" id="generate-btn" 
-        class="w-full py-4 bg-white text-purple-600 font-bold rounded-xl hover:bg-white/90 transition transform hover:scale-[1.02] pulse-glow">
+      <div>
+        <label class="block text-sm font-medium mb-2">AI 内容语言（第一个勾选的为主语言）</label>
+        <div class="flex flex-wrap gap-4 text-sm">
+          ${Object.entries(CONFIG.CONTENT_LANGUAGES).map(([code, language]) => `<label class="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" value="${code}" class="language-input w-4 h-4 rounded" ${code === 'zh' ? 'checked' : ''}> ${language.name}
+          </label>`).join('')}
+        </div>
+      </div>
+
+      <label class="flex items-center gap-3 text-sm text-white/80 cursor-pointer">
+        <input type="checkbox" id="listed-input" class="w-4 h-4 rounded">
+        在 <a href="/explore" class="underline" target="_blank">探索页</a> 公开展示我的主页（可随时关闭）
+      </label>
+
+      <button type="submit" id="generate-btn" ${login ? '' : 'disabled'}
+        class="w-full py-4 bg-white text-purple-600 font-bold rounded-xl hover:bg-white/90 transition transform hover:scale-[1.02] pulse-glow disabled:opacity-50 disabled:cursor-not-allowed">
         ✨ 生成我的专属页面
       </button>
 
@@ -2234,6 +6191,8 @@ function serveEntryPage() {
         <p class="text-white/60 text-sm mt-2">这可能需要 10-30 秒（包含背景图生成）</p>
       </div>
 
+      <ul id="progress-steps" class="hidden mt-4 p-4 bg-white/10 rounded-xl space-y-2 text-sm text-white/80"></ul>
+
       <div id="error" class="hidden mt-4 p-4 bg-red-500/20 border border-red-500/50 rounded-xl text-center">
         <p id="error-text" class="text-red-200"></p>
       </div>
@@ -2249,7 +6208,7 @@ function serveEntryPage() {
     </form>
 
     <p class="text-center text-white/60 text-sm mt-6">
-      已有页面？输入相同用户名即可读取和编辑
+      已有页面？登录同一 GitHub 账号即可读取和编辑
     </p>
   </div>
 
@@ -2302,6 +6261,81 @@ function serveEntryPage() {
       return { user, repos };
     }
 
+    // 生成进度：每个步骤一行，完成后保留列表以便查看哪些步骤使用了备用内容
+    const STEP_LABELS = {
+      github: '获取 GitHub 数据',
+      bio: '生成个人简介',
+      project: '生成项目介绍',
+      quote: '生成每日名言',
+      news: '获取相关新闻',
+      weather: '获取天气',
+      image: '生成图片',
+      save: '保存页面',
+      digest: '总结本周动态'
+    };
+    const IMAGE_LABELS = { background: '背景图', card: '社交卡片图' };
+    const STATUS_ICONS = { pending: '⏳', done: '✅', warning: '⚠️', error: '❌' };
+
+    function resetProgress() {
+      const list = document.getElementById('progress-steps');
+      list.innerHTML = '';
+      list.classList.add('hidden');
+    }
+
+    function renderProgress(event) {
+      const list = document.getElementById('progress-steps');
+      const key = [event.step, event.language || '', event.name || ''].join(':');
+      let item = list.querySelector('[data-step="' + CSS.escape(key) + '"]');
+      if (!item) {
+        item = document.createElement('li');
+        item.dataset.step = key;
+        list.appendChild(item);
+      }
+
+      let label = STEP_LABELS[event.step] || event.step;
+      if (event.step === 'image' && event.name) label += ' · ' + (IMAGE_LABELS[event.name] || event.name);
+      else if (event.name) label += ' · ' + event.name;
+      if (event.language) label += ' (' + event.language + ')';
+
+      item.textContent = (STATUS_ICONS[event.status] || '•') + ' ' + label + (event.error ? ' — ' + event.error : '');
+      item.className = event.status === 'error' ? 'text-red-200' : event.status === 'warning' ? 'text-yellow-200' : '';
+      list.classList.remove('hidden');
+    }
+
+    // 逐行读取 NDJSON 进度流，返回最终的 result 事件
+    async function readProgressStream(res) {
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let result = null;
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        const event = JSON.parse(line);
+        if (event.type === 'progress') {
+          renderProgress(event);
+          document.getElementById('loading-text').textContent = '🤖 ' + (STEP_LABELS[event.step] || event.step) + '...';
+        } else if (event.type === 'error') {
+          throw new Error(event.error);
+        } else if (event.type === 'result') {
+          result = event;
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+
+      if (!result) throw new Error('生成中断，请重试');
+      return result;
+    }
+
     document.getElementById('generate-form').addEventListener('submit', async (e) => {
       e.preventDefault();
       
@@ -2315,24 +6349,30 @@ function serveEntryPage() {
       document.getElementById('loading-text').textContent = '🔍 正在获取 GitHub 数据...';
       document.getElementById('result').classList.add('hidden');
       document.getElementById('error').classList.add('hidden');
+      resetProgress();
 
       try {
         const githubData = await fetchGitHubDataFromClient(username);
+        const languages = [...document.querySelectorAll('.language-input:checked')].map(input => input.value);
         
         document.getElementById('loading-text').textContent = '🤖 AI 正在生成内容和背景图...';
 
         const res = await fetch('/api/generate', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson' },
           body: JSON.stringify({ 
             username, 
             interests: selectedInterests, 
             userBio,
+            listedInDirectory: document.getElementById('listed-input').checked,
+            languages: languages.length > 0 ? languages : undefined,
             githubData
           })
         });
 
-        const data = await res.json();
+        // 参数错误、限流等情况仍然返回普通 JSON
+        const isStream = (res.headers.get('Content-Type') || '').includes('application/x-ndjson');
+        const data = isStream ? await readProgressStream(res) : await res.json();
 
         if (data.error) {
           throw new Error(data.error);
@@ -2379,7 +6419,7 @@ function serveEntryPage() {
   });
 }
 
-function servePortfolioPage(data, request) {
+function servePortfolioPage(data, request, isOwner = false, locale = data.aiLanguage) {
   // 获取当前域名用于构建完整 URL
   const url = new URL(request?.url || 'https://example.com');
   const baseUrl = `${url.protocol}//${url.host}`;
@@ -2387,47 +6427,107 @@ function servePortfolioPage(data, request) {
   // 构建社交预览图 URL
   const ogImage = data.aiCardImageUrl 
     ? (data.aiCardImageUrl.startsWith('http') ? data.aiCardImageUrl : baseUrl + data.aiCardImageUrl)
-    : data.github?.avatar_url || '';
+    : data.github.avatar_url;
   
   // 构建背景图 URL
   const backgroundImage = data.aiBackgroundUrl 
     ? (data.aiBackgroundUrl.startsWith('http') ? data.aiBackgroundUrl : baseUrl + data.aiBackgroundUrl)
     : '';
 
-  // 生成 OG 标题（bio 前 60 字或默认标题）
-  const ogTitle = data.aiBio 
-    ? data.aiBio.substring(0, 60) + (data.aiBio.length > 60 ? '...' : '')
-    : `${data.github?.name || data.username} 的 AI 作品集`;
+  // 生成 OG 标题（bio 前 60 字或默认标题），简介可能是所有者手动编辑的，输出前统一转义
+  const ogTitle = escapeHtml(data.aiBio 
+    ? data.aiBio.substring(0, 60) + (data.aiBio.length > 60 ? '...' : '')
+    : `${data.github.name} 的 AI 作品集`);
+
+  // 生成 OG 描述（项目亮点 + 简介）
+  const topProjects = data.repos.filter(r => !r.fork).slice(0, 3).map(r => r.name).join('、');
+  const ogDescription = escapeHtml(topProjects 
+    ? `精选项目：${topProjects}。${(data.aiBio || '').substring(0, 100)}`
+    : (data.aiBio || '').substring(0, 200));
+
+  // 内容语言切换
+  const locales = getAvailableLocales(data);
+  const languageSwitcher = locales.length > 1 ? `
+      <div class="flex justify-center gap-2 mt-4 text-sm">
+        ${locales.map(code => `<a href="?lang=${code}" class="px-3 py-1 rounded-full transition ${code === locale ? 'bg-white text-purple-600 font-medium' : 'bg-white/10 hover:bg-white/20'}">${CONFIG.CONTENT_LANGUAGES[code].name}</a>`).join('')}
+      </div>` : '';
+
+  // 卡片上的语录是当天的每日语录时显示日期、风格和收藏按钮（手动编辑、单独重新生成后不显示）
+  // dailyQuote 只记录主语言的原文，其他语言版本不做比较
+  const todayQuote = data.dailyQuote && (locale !== data.aiLanguage || data.dailyQuote.text === data.aiQuote?.text)
+    ? data.dailyQuote
+    : null;
+
+  // 本周动态：weeklyDigest 可能停留在上周（之后还没有刷新），只展示所有者时区的当前周
+  const weeklyDigest = data.weeklyDigest?.week === isoWeek(localDate(Date.now(), data.settings.timezone))
+    ? data.weeklyDigest
+    : null;
+  const digestCountChips = (counts) => Object.entries(DIGEST_COUNT_LABELS)
+    .filter(([key]) => counts[key] > 0)
+    .map(([key, label]) => `<span class="text-xs bg-white/20 px-2 py-1 rounded">${label} ${counts[key]}</span>`)
+    .join('');
+
+  // AI 内容标签上提示生成所用的模型
+  const modelTitle = (field) => {
+    if (data.aiModels[field] === MANUAL_TEXT_MODEL) return '手动编辑';
+    const model = CONFIG.TEXT_MODELS[data.aiModels[field]];
+    return model ? `由 ${model.name} 生成` : 'AI 生成';
+  };
+
+  // 各组件的「更新于」提示，缓存过期时说明正在后台刷新
+  const staleWidgets = getStaleWidgets(data);
+  const updatedLabel = (timestamp, widget) => {
+    const label = timestamp ? `更新于 ${formatTimeAgo(timestamp)}` : '尚未更新';
+    return staleWidgets.includes(widget) ? `${label} · 后台刷新中` : label;
+  };
+
+  // 所有者可见的单字段重新生成按钮
+  const regenerateButton = (field, title, repo = '') => isOwner
+    ? `<button type="button" class="regenerate-btn ml-1 text-xs text-white/50 hover:text-white transition" data-field="${field}" data-repo="${repo}" title="${title}">🔄</button>`
+    : '';
+
+  // 文字字段的所有者操作：编辑、锁定 / 解锁，未锁定时才能重新生成
+  const aiTextControls = (field, label, repo = '') => {
+    if (!isOwner) return '';
+    const locked = isAILocked(data, field, repo);
+    const button = (cls, icon, title) => `<button type="button" class="${cls} ml-1 text-xs text-white/50 hover:text-white transition" data-field="${field}" data-repo="${repo}" data-locked="${locked}" title="${title}">${icon}</button>`;
+    return button('edit-ai-btn', '✏️', `编辑${label}`) +
+      button('lock-ai-btn', locked ? '🔒' : '🔓', locked ? '已锁定，刷新时保留（点击解锁）' : '未锁定，刷新时会重新生成（点击锁定）') +
+      (locked ? '' : regenerateButton(field, `重新生成${label}`, repo));
+  };
 
-  // 生成 OG 描述（项目亮点 + 简介）
-  const topProjects = (data.repos || []).filter(r => !r.fork).slice(0, 3).map(r => r.name).join('、');
-  const ogDescription = topProjects 
-    ? `精选项目：${topProjects}。${(data.aiBio || '').substring(0, 100)}`
-    : (data.aiBio || '').substring(0, 200);
-
-  const newsHtml = (data.cachedNews || []).map(item => `
-    <a href="${item.url}" target="_blank" class="block p-3 rounded-xl hover:bg-white/10 transition group">
-      <h4 class="font-medium text-sm group-hover:text-purple-300 transition">${item.title}</h4>
-      <div class="flex items-center gap-2 mt-1 text-xs text-white/50">
-        <span class="text-purple-300">${item.source}</span>
-        <span>•</span>
-        <span>${item.time}</span>
-        ${item.score ? `<span>• ⬆️ ${item.score}</span>` : ''}
-        ${item.reactions ? `<span>• ❤️ ${item.reactions}</span>` : ''}
-      </div>
-    </a>
+  // 所有者点击新闻会记录偏好，「✕」隐藏不感兴趣的新闻
+  // 标题和链接来自第三方新闻源，一律转义，链接只允许 http(s)
+  const newsHtml = (data.cachedNews || []).filter(item => safeHttpUrl(item.url)).map(item => `
+    <div class="news-item relative" data-url="${escapeHtml(item.url)}">
+      <a href="${escapeHtml(safeHttpUrl(item.url))}" target="_blank" rel="noopener noreferrer" class="block p-3${isOwner ? ' pr-8' : ''} rounded-xl hover:bg-white/10 transition group">
+        <h4 class="font-medium text-sm group-hover:text-purple-300 transition">${escapeHtml(item.title)}</h4>
+        <div class="flex items-center gap-2 mt-1 text-xs text-white/50">
+          <span class="text-purple-300">${escapeHtml(item.source)}</span>
+          <span>•</span>
+          <span>${escapeHtml(item.publishedAt ? formatTimeAgo(item.publishedAt) : item.time)}</span>
+          ${item.score ? `<span>• ⬆️ ${escapeHtml(item.score)}</span>` : ''}
+          ${item.reactions ? `<span>• ❤️ ${escapeHtml(item.reactions)}</span>` : ''}
+        </div>
+      </a>
+      ${item.summary ? `<details class="px-3 pb-2 -mt-1 text-xs">
+        <summary class="text-white/40 cursor-pointer hover:text-white/70 transition select-none">TL;DR</summary>
+        <p class="text-white/70 mt-1 leading-relaxed">${escapeHtml(item.summary)}</p>
+      </details>` : ''}
+      ${isOwner ? '<button type="button" class="hide-news-btn absolute top-3 right-2 text-xs text-white/40 hover:text-white transition" title="不感兴趣，隐藏这条新闻">✕</button>' : ''}
+    </div>
   `).join('');
 
   // 书签按 order 排序
-  const sortedBookmarks = (data.bookmarks || []).sort((a, b) => (a.order || 0) - (b.order || 0));
+  const sortedBookmarks = data.bookmarks.sort((a, b) => (a.order || 0) - (b.order || 0));
 
   const html = `<!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${CONFIG.CONTENT_LANGUAGES[locale].htmlLang}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${data.github?.name || data.username} - MyEdge Portfolio</title>
-  <meta name="description" content="${(data.aiBio || '').substring(0, 160)}">
+  <title>${data.github.name} - MyEdge Portfolio</title>
+  <meta name="description" content="${escapeHtml((data.aiBio || '').substring(0, 160))}">
   
   <!-- Open Graph 优化 -->
   <meta property="og:title" content="${ogTitle}">
@@ -2438,13 +6538,14 @@ function servePortfolioPage(data, request) {
   <meta property="og:type" content="profile">
   <meta property="og:url" content="${baseUrl}/p/${data.slug}">
   <meta property="og:site_name" content="MyEdge Portfolio">
+  ${buildLocaleMeta(baseUrl, data, locale)}
   
   <!-- Twitter Card 优化 -->
   <meta name="twitter:card" content="summary_large_image">
   <meta name="twitter:title" content="${ogTitle}">
   <meta name="twitter:description" content="${ogDescription}">
   <meta name="twitter:image" content="${ogImage}">
-  ${data.github?.twitter_username ? `<meta name="twitter:creator" content="@${data.github.twitter_username}">` : ''}
+  ${data.github.twitter_username ? `<meta name="twitter:creator" content="@${data.github.twitter_username}">` : ''}
   <meta name="twitter:site" content="@MyEdgePortfolio">
 
   <script src="https://cdn.tailwindcss.com"></script>
@@ -2492,15 +6593,15 @@ function servePortfolioPage(data, request) {
   <nav class="fixed top-0 left-0 right-0 z-50 glass">
     <div class="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between">
       <div class="flex items-center gap-3">
-        <img class="w-10 h-10 rounded-full border-2 border-white/30" src="${data.github?.avatar_url || ''}" alt="">
-        <span class="font-semibold text-white">${data.github?.name || data.username}</span>
+        <img class="w-10 h-10 rounded-full border-2 border-white/30" src="${data.github.avatar_url}" alt="">
+        <span class="font-semibold text-white">${data.github.name}</span>
       </div>
       <div class="flex items-center gap-3">
-        <button id="refresh-btn" class="p-2 rounded-lg hover:bg-white/10 transition text-white" title="刷新所有内容（包括重新生成背景图）">
+        ${isOwner ? `<button id="refresh-btn" class="p-2 rounded-lg hover:bg-white/10 transition text-white" title="刷新所有内容（包括重新生成背景图）">
           <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
           </svg>
-        </button>
+        </button>` : ''}
         <button id="dark-mode-btn" class="p-2 rounded-lg hover:bg-white/10 transition text-white" title="深色模式">
           <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
             <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/>
@@ -2509,6 +6610,9 @@ function servePortfolioPage(data, request) {
         <button id="share-btn" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 transition text-white text-sm font-medium">
           📤 分享
         </button>
+        ${isOwner
+          ? `<a href="/auth/logout?return_to=/p/${data.slug}" class="text-sm text-white/60 hover:text-white transition">退出</a>`
+          : `<a href="/auth/login?return_to=/p/${data.slug}" class="text-sm text-white/60 hover:text-white transition" title="页面所有者登录后可编辑">🔑 登录</a>`}
       </div>
     </div>
   </nav>
@@ -2516,26 +6620,26 @@ function servePortfolioPage(data, request) {
   <!-- Hero 区域 -->
   <section class="pt-24 pb-16 px-4 relative overflow-hidden">
     <div class="max-w-4xl mx-auto text-center relative z-10">
-      <img class="w-32 h-32 rounded-full border-4 border-white/50 mx-auto mb-6 shadow-2xl" src="${data.github?.avatar_url || ''}" alt="">
-      <h1 class="text-4xl md:text-5xl font-bold text-white mb-4">${data.github?.name || data.username}</h1>
-      <p class="text-lg text-white/80 max-w-2xl mx-auto leading-relaxed">${data.aiBio || ''}</p>
+      <img class="w-32 h-32 rounded-full border-4 border-white/50 mx-auto mb-6 shadow-2xl" src="${data.github.avatar_url}" alt="">
+      <h1 class="text-4xl md:text-5xl font-bold text-white mb-4">${data.github.name}</h1>
+      <p class="text-lg text-white/80 max-w-2xl mx-auto leading-relaxed" title="${modelTitle('bio')}"><span data-ai-field="bio">${escapeHtml(data.aiBio)}</span>${aiTextControls('bio', '简介')}</p>${languageSwitcher}
       
       <div class="flex flex-wrap justify-center gap-2 mt-6">
-        ${(data.skills || []).map(skill => `<span class="skill-tag px-4 py-2 rounded-full text-sm font-medium text-white">${skill}</span>`).join('')}
+        ${data.skills.map(skill => `<span class="skill-tag px-4 py-2 rounded-full text-sm font-medium text-white">${skill}</span>`).join('')}
       </div>
       
       <div class="flex justify-center gap-4 mt-8">
-        <a href="${data.github?.html_url || '#'}" target="_blank" class="p-3 glass rounded-full hover:bg-white/20 transition text-white">
+        <a href="${data.github.html_url}" target="_blank" class="p-3 glass rounded-full hover:bg-white/20 transition text-white">
           <svg class="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
             <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
           </svg>
         </a>
-        ${data.github?.blog ? `<a href="${data.github.blog.startsWith('http') ? data.github.blog : 'https://' + data.github.blog}" target="_blank" class="p-3 glass rounded-full hover:bg-white/20 transition text-white">
+        ${data.github.blog ? `<a href="${data.github.blog.startsWith('http') ? data.github.blog : 'https://' + data.github.blog}" target="_blank" class="p-3 glass rounded-full hover:bg-white/20 transition text-white">
           <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9"/>
           </svg>
         </a>` : ''}
-        ${data.github?.twitter_username ? `<a href="https://twitter.com/${data.github.twitter_username}" target="_blank" class="p-3 glass rounded-full hover:bg-white/20 transition text-white">
+        ${data.github.twitter_username ? `<a href="https://twitter.com/${data.github.twitter_username}" target="_blank" class="p-3 glass rounded-full hover:bg-white/20 transition text-white">
           <svg class="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
             <path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/>
           </svg>
@@ -2576,20 +6680,27 @@ function servePortfolioPage(data, request) {
               <div class="font-semibold">${data.cachedWeather?.feels || 23}°C</div>
             </div>
           </div>
+          <p class="text-xs text-white/40 mt-3 text-right">${updatedLabel(data.timestamps.weatherUpdated, 'weather')}</p>
         </div>
 
         <!-- AI Quote -->
         <div class="glass rounded-2xl p-6 text-white card-hover transition-all duration-300">
-          <h3 class="font-semibold mb-4">💡 今日灵感 <span class="text-xs text-white/50 font-normal">AI 生成</span></h3>
-          <blockquote class="text-lg italic leading-relaxed">"${data.aiQuote?.text || '每一行代码都是通往未来的阶梯。'}"</blockquote>
-          <p class="text-right text-white/60 mt-3 text-sm">— ${data.aiQuote?.author || 'AI 智慧'}</p>
+          <h3 class="font-semibold mb-4">💡 今日灵感 <span class="text-xs text-white/50 font-normal" title="${modelTitle('quote')}">AI 生成</span>${aiTextControls('quote', '语录')}</h3>
+          <blockquote class="text-lg italic leading-relaxed">"<span data-ai-field="quote" data-ai-part="text">${escapeHtml(data.aiQuote?.text || '每一行代码都是通往未来的阶梯。')}</span>"</blockquote>
+          <p class="text-right text-white/60 mt-3 text-sm">— <span data-ai-field="quote" data-ai-part="author">${escapeHtml(data.aiQuote?.author || 'AI 智慧')}</span></p>
+          <div class="flex items-center justify-between mt-3 text-xs text-white/50">
+            <span>${todayQuote ? `${todayQuote.date}${todayQuote.style ? ` · ${CONFIG.QUOTE_STYLES[todayQuote.style].label}` : ''}` : ''}${isOwner && todayQuote ? `<button type="button" class="favorite-quote-btn ml-2 hover:text-white transition" data-date="${todayQuote.date}" data-favorite="${!!todayQuote.favorite}" title="收藏">${todayQuote.favorite ? '⭐' : '☆'}</button>` : ''}</span>
+            <button type="button" id="quote-history-btn" class="hover:text-white transition">📜 往日灵感</button>
+          </div>
+          <ul id="quote-history" class="hidden mt-3 space-y-3 max-h-72 overflow-y-auto text-sm"></ul>
+          <button type="button" id="quote-history-more" class="hidden mt-2 text-xs text-white/50 hover:text-white transition">加载更多</button>
         </div>
 
         <!-- 快捷链接（支持编辑模式和拖拽排序） -->
         <div class="glass rounded-2xl p-6 text-white card-hover transition-all duration-300">
           <div class="flex items-center justify-between mb-4">
             <h3 class="font-semibold">🔗 快捷链接</h3>
-            <button id="edit-links-btn" class="text-sm text-white/60 hover:text-white transition px-3 py-1 rounded-lg hover:bg-white/10">✏️ 编辑</button>
+            ${isOwner ? '<button id="edit-links-btn" class="text-sm text-white/60 hover:text-white transition px-3 py-1 rounded-lg hover:bg-white/10">✏️ 编辑</button>' : ''}
           </div>
           <p id="edit-hint" class="hidden text-xs text-white/40 mb-3">拖拽排序 | 点击删除 | 完成后点击保存</p>
           <div class="grid grid-cols-4 gap-3" id="bookmarks-container">
@@ -2607,14 +6718,14 @@ function servePortfolioPage(data, request) {
               </div>
             `).join('')}
           </div>
-          <!-- 编辑模式下的操作按钮 -->
-          <div id="edit-actions" class="hidden mt-4 space-y-2">
+          <!-- 编辑模式下的操作按钮（仅所有者可见） -->
+          ${isOwner ? `<div id="edit-actions" class="hidden mt-4 space-y-2">
             <button id="add-bookmark-btn" class="w-full py-2 bg-white/10 rounded-lg hover:bg-white/20 transition text-sm">+ 添加新链接</button>
             <div class="flex gap-2">
               <button id="cancel-edit-btn" class="flex-1 py-2 bg-white/10 rounded-lg hover:bg-white/20 transition text-sm">取消</button>
               <button id="save-bookmarks-btn" class="flex-1 py-2 bg-green-500/80 rounded-lg hover:bg-green-500 transition text-sm font-medium">💾 保存</button>
             </div>
-          </div>
+          </div>` : ''}
         </div>
       </div>
 
@@ -2622,24 +6733,41 @@ function servePortfolioPage(data, request) {
       <div class="lg:col-span-2 space-y-6">
         <!-- 项目 -->
         <div class="glass rounded-2xl p-6 text-white">
-          <h3 class="font-semibold mb-4">🚀 精选项目 <span class="text-xs text-white/50 font-normal">AI 描述</span></h3>
+          <h3 class="font-semibold mb-4">🚀 精选项目 <span class="text-xs text-white/50 font-normal" title="${modelTitle('projectDescriptions')}">AI 描述</span></h3>
           <div class="grid md:grid-cols-2 gap-4">
-            ${(data.repos || []).filter(r => !r.fork).slice(0, 6).map(repo => `
-              <a href="${repo.html_url}" target="_blank" class="block bg-white/10 rounded-xl p-4 hover:bg-white/20 transition card-hover">
+            ${data.repos.filter(r => !r.fork).slice(0, 6).map(repo => `
+              <div class="bg-white/10 rounded-xl p-4 hover:bg-white/20 transition card-hover">
                 <div class="flex items-start justify-between mb-2">
-                  <h4 class="font-semibold truncate flex-1">${repo.name}</h4>
+                  <h4 class="font-semibold truncate flex-1"><a href="${repo.html_url}" target="_blank" rel="noopener" class="hover:underline">${repo.name}</a></h4>${aiTextControls('project', '这个项目的描述', repo.name)}
                   <span class="text-yellow-400 text-sm ml-2">⭐ ${repo.stargazers_count}</span>
                 </div>
-                <p class="text-sm text-white/70 line-clamp-2">${data.aiProjectDescriptions?.[repo.name] || repo.description || '优质项目'}</p>
+                <p class="text-sm text-white/70 line-clamp-2" data-ai-field="project" data-repo="${repo.name}">${escapeHtml(data.aiProjectDescriptions?.[repo.name] || repo.description || '优质项目')}</p>
                 <div class="flex items-center gap-2 mt-3">
                   ${repo.language ? `<span class="text-xs bg-white/20 px-2 py-1 rounded">${repo.language}</span>` : ''}
                   <span class="text-xs text-white/50">🍴 ${repo.forks_count}</span>
                 </div>
-              </a>
+              </div>
             `).join('')}
           </div>
         </div>
 
+        <!-- 本周动态 -->
+        <div class="glass rounded-2xl p-6 text-white">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="font-semibold">📈 本周动态 <span class="text-xs text-white/50 font-normal">AI 总结</span></h3>
+            <button type="button" id="digest-history-btn" class="text-xs text-white/50 hover:text-white transition">🗓️ 往期</button>
+          </div>
+          ${weeklyDigest && weeklyDigest.repos.length > 0 ? `
+          ${weeklyDigest.summary ? `<p class="text-white/80 leading-relaxed">${escapeHtml(weeklyDigest.summary)}</p>` : ''}
+          <div class="flex flex-wrap gap-2 mt-3">${digestCountChips(weeklyDigest.counts)}</div>
+          <ul class="mt-3 space-y-1 text-sm text-white/70">
+            ${weeklyDigest.repos.map(repo => `<li><a href="https://github.com/${escapeHtml(repo.name)}" target="_blank" class="hover:text-white transition">${escapeHtml(repo.name)}</a> <span class="text-white/40">${escapeHtml(describeActivityCounts(repo.counts))}</span></li>`).join('')}
+          </ul>
+          <p class="text-xs text-white/40 mt-3 text-right">${weeklyDigest.start} ~ ${weeklyDigest.end} · ${updatedLabel(weeklyDigest.generatedAt)}</p>` : '<p class="text-white/50 text-center py-4">本周暂无公开动态</p>'}
+          <ul id="digest-history" class="hidden mt-4 space-y-4 max-h-96 overflow-y-auto text-sm"></ul>
+          <button type="button" id="digest-history-more" class="hidden mt-2 text-xs text-white/50 hover:text-white transition">加载更多</button>
+        </div>
+
         <!-- 真实新闻 -->
         <div class="glass rounded-2xl p-6 text-white">
           <div class="flex items-center justify-between mb-4">
@@ -2649,7 +6777,7 @@ function servePortfolioPage(data, request) {
           <div class="space-y-1 max-h-80 overflow-y-auto news-scroll">
             ${newsHtml || '<p class="text-white/50 text-center py-4">暂无新闻</p>'}
           </div>
-          <p class="text-xs text-white/40 mt-3 text-center">数据来源: Hacker News, Dev.to, GitHub Trending</p>
+          <p class="text-xs text-white/40 mt-3 text-center">数据来源: Hacker News, Dev.to, GitHub Trending · ${updatedLabel(data.timestamps.newsUpdated, 'news')}</p>
         </div>
 
         <!-- GitHub 统计 -->
@@ -2657,19 +6785,19 @@ function servePortfolioPage(data, request) {
           <h3 class="font-semibold mb-4">📊 GitHub 统计</h3>
           <div class="grid grid-cols-4 gap-4 text-center">
             <div class="bg-white/10 rounded-xl p-4">
-              <div class="text-3xl font-bold text-green-400">${(data.repos || []).filter(r => !r.fork).length}</div>
+              <div class="text-3xl font-bold text-green-400">${data.repos.filter(r => !r.fork).length}</div>
               <div class="text-sm text-white/60">原创项目</div>
             </div>
             <div class="bg-white/10 rounded-xl p-4">
-              <div class="text-3xl font-bold text-blue-400">${data.github?.followers || 0}</div>
+              <div class="text-3xl font-bold text-blue-400">${data.github.followers}</div>
               <div class="text-sm text-white/60">粉丝</div>
             </div>
             <div class="bg-white/10 rounded-xl p-4">
-              <div class="text-3xl font-bold text-purple-400">${data.github?.following || 0}</div>
+              <div class="text-3xl font-bold text-purple-400">${data.github.following}</div>
               <div class="text-sm text-white/60">关注</div>
             </div>
             <div class="bg-white/10 rounded-xl p-4">
-              <div class="text-3xl font-bold text-yellow-400">${(data.repos || []).filter(r => !r.fork).reduce((s, r) => s + r.stargazers_count, 0)}</div>
+              <div class="text-3xl font-bold text-yellow-400">${data.repos.filter(r => !r.fork).reduce((s, r) => s + r.stargazers_count, 0)}</div>
               <div class="text-sm text-white/60">获星</div>
             </div>
           </div>
@@ -2682,6 +6810,62 @@ function servePortfolioPage(data, request) {
   <footer class="glass py-6 text-center text-white/60 text-sm">
     <p>Powered by <span class="text-white font-semibold">MyEdge Portfolio</span> × Workers AI ✨</p>
     <p class="text-xs mt-1">所有内容由 AI 动态生成 | 背景图 AI 生成 | 新闻实时获取</p>
+    ${isOwner ? `<p class="text-xs mt-3 space-x-4">
+      <a href="/api/account/export?username=${data.username}" class="hover:text-white transition">📦 导出全部数据</a>
+      <label class="inline-flex items-center gap-1 cursor-pointer hover:text-white transition">
+        <input type="checkbox" id="listed-toggle" ${data.settings.listedInDirectory ? 'checked' : ''}> 在探索页公开
+      </label>
+      <label class="inline-flex items-center gap-1 hover:text-white transition">
+        🔄 AI 文案自动更新
+        <select id="refresh-cadence" class="bg-transparent border border-white/20 rounded px-1">
+          ${[['daily', '每天'], ['weekly', '每周'], ['never', '从不']].map(([value, label]) => `<option value="${value}" class="text-black" ${data.settings.refreshCadence === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </label>
+      <button id="delete-account-btn" class="hover:text-red-300 transition">🗑️ 删除页面和数据</button>
+    </p>
+    <p class="text-xs mt-2 space-x-3">
+      <span>🖼️ 重新生成</span>
+      <button type="button" class="regenerate-btn hover:text-white transition" data-field="background" data-repo="" title="重新生成背景图">背景图</button>
+      <button type="button" class="regenerate-btn hover:text-white transition" data-field="card" data-repo="" title="重新生成社交卡片图">社交卡片图</button>
+    </p>
+    <p class="text-xs mt-2 space-x-3">
+      <span>🧠 AI 模型</span>
+      ${[['bio', '简介'], ['projectDescriptions', '项目'], ['quote', '语录']].map(([field, label]) => `<label class="inline-flex items-center gap-1">
+        ${label}
+        <select data-model-field="${field}" class="model-select bg-transparent border border-white/20 rounded px-1">
+          <option value="" class="text-black">默认</option>
+          ${Object.entries(CONFIG.TEXT_MODELS).map(([id, model]) => `<option value="${id}" class="text-black" ${data.settings.models[field] === id ? 'selected' : ''}>${model.name}</option>`).join('')}
+        </select>
+      </label>`).join('')}
+    </p>
+    <p class="text-xs mt-2 space-x-3" title="新增的语言在下次刷新 AI 内容时生成">
+      <span>🌐 内容语言</span>
+      ${Object.entries(CONFIG.CONTENT_LANGUAGES).map(([code, language]) => `<label class="inline-flex items-center gap-1 cursor-pointer">
+        <input type="checkbox" value="${code}" class="language-toggle" ${data.settings.languages.includes(code) ? 'checked' : ''}> ${language.name}
+      </label>`).join('')}
+    </p>
+    <p class="text-xs mt-2 space-x-3" title="保存后在下次重新生成简介或语录时生效">
+      <span>✍️ 简介风格</span>
+      ${[['tone', '语气'], ['length', '长度'], ['person', '人称'], ['emphasis', '侧重']].map(([key, label]) => `<label class="inline-flex items-center gap-1">
+        ${label}
+        <select data-style-key="${key}" class="bio-style-select bg-transparent border border-white/20 rounded px-1">
+          ${Object.entries(CONFIG.BIO_STYLES[key]).map(([id, option]) => `<option value="${id}" class="text-black" ${data.settings.bioStyle[key] === id ? 'selected' : ''}>${option.label}</option>`).join('')}
+        </select>
+      </label>`).join('')}
+      <button type="button" id="preview-bio-style" class="hover:text-white transition">👀 预览</button>
+      <button type="button" id="save-bio-style" class="hover:text-white transition">💾 保存</button>
+    </p>
+    <p class="text-xs mt-2 space-x-3" title="每日语录在所选时区的零点更换，只使用勾选的风格">
+      <span>💡 每日语录</span>
+      <label class="inline-flex items-center gap-1">
+        时区
+        <input type="text" id="quote-timezone" value="${escapeHtml(data.settings.timezone)}" placeholder="Asia/Shanghai" class="w-32 bg-transparent border border-white/20 rounded px-1">
+      </label>
+      ${Object.entries(CONFIG.QUOTE_STYLES).map(([id, style]) => `<label class="inline-flex items-center gap-1 cursor-pointer">
+        <input type="checkbox" value="${id}" class="quote-style-toggle" ${data.settings.bannedQuoteStyles.includes(id) ? '' : 'checked'}> ${style.label}
+      </label>`).join('')}
+    </p>
+    <div id="bio-style-preview" class="hidden max-w-2xl mx-auto mt-3 p-4 bg-white/10 rounded-xl text-left text-sm text-white/80"></div>` : ''}
   </footer>
 
   <!-- 分享弹窗 -->
@@ -2693,6 +6877,15 @@ function servePortfolioPage(data, request) {
         <button id="copy-share" class="px-4 py-2 bg-white text-purple-600 rounded-lg text-sm font-medium">复制</button>
       </div>
       <p class="text-xs text-white/50 mt-3">分享到社交媒体时会显示精美预览卡片 ✨</p>
+      ${isOwner ? `<div class="mt-4">
+        <label class="block text-sm mb-1">自定义链接</label>
+        <div class="flex items-center gap-2">
+          <span class="text-sm text-white/60">/p/</span>
+          <input type="text" id="custom-slug" value="${data.slug}" class="flex-1 px-3 py-2 bg-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-white/30 text-sm">
+          <button id="save-slug" class="px-4 py-2 bg-white/20 rounded-lg hover:bg-white/30 text-sm">保存</button>
+        </div>
+        <p id="slug-hint" class="text-xs text-white/50 mt-1">旧链接会自动跳转到新链接</p>
+      </div>` : ''}
       <button id="close-share" class="w-full mt-4 py-3 bg-white/10 rounded-xl hover:bg-white/20 transition">关闭</button>
     </div>
   </div>
@@ -2736,6 +6929,8 @@ function servePortfolioPage(data, request) {
   <script>
     const username = '${data.username}';
     const slug = '${data.slug}';
+    const isOwner = ${isOwner};
+    const locale = '${locale}';
     let isEditMode = false;
     let originalBookmarks = ${JSON.stringify(sortedBookmarks)};
     let currentBookmarks = JSON.parse(JSON.stringify(originalBookmarks));
@@ -2756,6 +6951,142 @@ function servePortfolioPage(data, request) {
       }
     });
 
+    // 往日灵感：每日语录历史，展开时再分页加载
+    const quoteStyles = ${JSON.stringify(Object.fromEntries(Object.entries(CONFIG.QUOTE_STYLES).map(([id, style]) => [id, style.label])))};
+    let quoteHistoryCursor = null;
+
+    function renderQuoteHistoryItem(quote) {
+      const item = document.createElement('li');
+      item.className = 'border-l-2 border-white/20 pl-3';
+      const text = document.createElement('p');
+      text.className = 'italic';
+      text.textContent = '"' + quote.text + '" — ' + quote.author;
+      const meta = document.createElement('p');
+      meta.className = 'text-xs text-white/50 mt-1';
+      meta.textContent = quote.date + (quote.style ? ' · ' + quoteStyles[quote.style] : '');
+
+      if (isOwner) {
+        const favorite = document.createElement('button');
+        favorite.type = 'button';
+        favorite.className = 'favorite-quote-btn ml-2 hover:text-white transition';
+        favorite.dataset.date = quote.date;
+        favorite.dataset.favorite = String(quote.favorite);
+        favorite.title = '收藏';
+        favorite.textContent = quote.favorite ? '⭐' : '☆';
+        meta.append(favorite);
+
+        if (quote.style) {
+          const ban = document.createElement('button');
+          ban.type = 'button';
+          ban.className = 'ban-quote-style-btn ml-2 hover:text-white transition';
+          ban.dataset.style = quote.style;
+          ban.title = '不再使用「' + quoteStyles[quote.style] + '」风格';
+          ban.textContent = '🚫';
+          meta.append(ban);
+        }
+      }
+
+      item.append(text, meta);
+      return item;
+    }
+
+    async function loadQuoteHistory() {
+      const query = new URLSearchParams({ username });
+      if (quoteHistoryCursor) query.set('cursor', quoteHistoryCursor);
+      const res = await fetch('/api/quotes?' + query);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      const list = document.getElementById('quote-history');
+      if (!quoteHistoryCursor && data.quotes.length === 0) list.textContent = '还没有往日语录';
+      data.quotes.forEach(quote => list.append(renderQuoteHistoryItem(quote)));
+      quoteHistoryCursor = data.nextCursor;
+      document.getElementById('quote-history-more').classList.toggle('hidden', !quoteHistoryCursor);
+    }
+
+    document.getElementById('quote-history-btn').addEventListener('click', async () => {
+      const list = document.getElementById('quote-history');
+      const hidden = list.classList.toggle('hidden');
+      document.getElementById('quote-history-more').classList.toggle('hidden', hidden || !quoteHistoryCursor);
+      if (hidden || list.dataset.loaded) return;
+
+      list.dataset.loaded = 'true';
+      try {
+        await loadQuoteHistory();
+      } catch (err) {
+        list.textContent = '加载失败: ' + err.message;
+      }
+    });
+
+    document.getElementById('quote-history-more').addEventListener('click', async () => {
+      try {
+        await loadQuoteHistory();
+      } catch (err) {
+        alert('加载失败: ' + err.message);
+      }
+    });
+
+    // 往期动态：按周倒序分页加载
+    const digestCountLabels = ${JSON.stringify(DIGEST_COUNT_LABELS)};
+    let digestHistoryCursor = null;
+
+    function renderDigestHistoryItem(digest) {
+      const item = document.createElement('li');
+      item.className = 'border-l-2 border-white/20 pl-3';
+      const title = document.createElement('p');
+      title.className = 'text-xs text-white/50';
+      title.textContent = digest.week + ' · ' + digest.start + ' ~ ' + digest.end;
+      const summary = document.createElement('p');
+      summary.className = 'mt-1';
+      summary.textContent = digest.repos.length === 0 ? '这一周没有公开动态' : (digest.summary || '总结尚未生成');
+      const counts = document.createElement('p');
+      counts.className = 'text-xs text-white/50 mt-1';
+      counts.textContent = Object.entries(digestCountLabels)
+        .filter(([key]) => digest.counts[key] > 0)
+        .map(([key, label]) => label + ' ' + digest.counts[key])
+        .concat(digest.repos.map(repo => repo.name))
+        .join(' · ');
+
+      item.append(title, summary, counts);
+      return item;
+    }
+
+    async function loadDigestHistory() {
+      const query = new URLSearchParams({ username });
+      if (digestHistoryCursor) query.set('cursor', digestHistoryCursor);
+      const res = await fetch('/api/digests?' + query);
+      const data = await res.json();
+      if (data.error) throw new Error(data.error);
+
+      const list = document.getElementById('digest-history');
+      if (!digestHistoryCursor && data.digests.length === 0) list.textContent = '还没有往期动态';
+      data.digests.forEach(digest => list.append(renderDigestHistoryItem(digest)));
+      digestHistoryCursor = data.nextCursor;
+      document.getElementById('digest-history-more').classList.toggle('hidden', !digestHistoryCursor);
+    }
+
+    document.getElementById('digest-history-btn').addEventListener('click', async () => {
+      const list = document.getElementById('digest-history');
+      const hidden = list.classList.toggle('hidden');
+      document.getElementById('digest-history-more').classList.toggle('hidden', hidden || !digestHistoryCursor);
+      if (hidden || list.dataset.loaded) return;
+
+      list.dataset.loaded = 'true';
+      try {
+        await loadDigestHistory();
+      } catch (err) {
+        list.textContent = '加载失败: ' + err.message;
+      }
+    });
+
+    document.getElementById('digest-history-more').addEventListener('click', async () => {
+      try {
+        await loadDigestHistory();
+      } catch (err) {
+        alert('加载失败: ' + err.message);
+      }
+    });
+
     // 前端获取 GitHub 数据
     async function fetchGitHubDataFromClient(user) {
       try {
@@ -2771,30 +7102,114 @@ function servePortfolioPage(data, request) {
       } catch(e) { return null; }
     }
 
-    // 刷新按钮
-    document.getElementById('refresh-btn').addEventListener('click', async () => {
-      const btn = document.getElementById('refresh-btn');
-      const toast = document.getElementById('refresh-toast');
-      const toastText = document.getElementById('refresh-toast-text');
+    // 刷新按钮（仅所有者）
+    if (isOwner) {
+      document.getElementById('refresh-btn').addEventListener('click', async () => {
+        const btn = document.getElementById('refresh-btn');
+        const toast = document.getElementById('refresh-toast');
+        const toastText = document.getElementById('refresh-toast-text');
       
-      btn.classList.add('animate-spin');
-      toast.classList.remove('hidden');
-      toastText.textContent = 'AI 正在重新生成内容和背景图...';
+        btn.classList.add('animate-spin');
+        toast.classList.remove('hidden');
+        toastText.textContent = 'AI 正在重新生成内容和背景图...';
       
-      try {
-        const githubData = await fetchGitHubDataFromClient(username);
-        await fetch('/api/refresh', {
+        try {
+          const githubData = await fetchGitHubDataFromClient(username);
+          await fetch('/api/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, forceAll: true, githubData })
+          });
+          location.reload();
+        } catch(e) { 
+          console.error(e);
+          toast.classList.add('hidden');
+          btn.classList.remove('animate-spin');
+        }
+      });
+
+      // 单独重新生成一个字段
+      document.querySelectorAll('.regenerate-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          const toast = document.getElementById('refresh-toast');
+          document.getElementById('refresh-toast-text').textContent = 'AI 正在' + btn.title + '...';
+          toast.classList.remove('hidden');
+
+          try {
+            const res = await fetch('/api/regenerate', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ username, field: btn.dataset.field, repo: btn.dataset.repo || undefined, language: locale })
+            });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.error || '生成失败');
+            location.reload();
+          } catch (err) {
+            toast.classList.add('hidden');
+            alert('重新生成失败: ' + err.message);
+          }
+        });
+      });
+
+      // 手动编辑 AI 文案：点击 ✏️ 进入编辑，再点 💾 保存（保存后自动锁定）
+      async function saveAIContent(body) {
+        const res = await fetch('/api/ai-content', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ username, forceAll: true, githubData })
+          body: JSON.stringify({ username, language: locale, ...body })
         });
-        location.reload();
-      } catch(e) { 
-        console.error(e);
-        toast.classList.add('hidden');
-        btn.classList.remove('animate-spin');
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || '保存失败');
       }
-    });
+
+      const aiTextTargets = (btn) => [...document.querySelectorAll('[data-ai-field="' + btn.dataset.field + '"]')]
+        .filter(el => (el.dataset.repo || '') === btn.dataset.repo);
+
+      document.querySelectorAll('.edit-ai-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          const targets = aiTextTargets(btn);
+
+          if (!targets[0].isContentEditable) {
+            targets.forEach(el => {
+              el.contentEditable = 'true';
+              el.classList.add('ring-1', 'ring-white/40', 'rounded', 'px-1');
+            });
+            targets[0].focus();
+            btn.textContent = '💾';
+            btn.title = '保存并锁定';
+            return;
+          }
+
+          const partText = (part) => targets.find(el => el.dataset.aiPart === part).textContent.trim();
+          const value = btn.dataset.field === 'quote'
+            ? { text: partText('text'), author: partText('author') }
+            : targets[0].textContent.trim();
+          try {
+            await saveAIContent({ field: btn.dataset.field, repo: btn.dataset.repo || undefined, value });
+            location.reload();
+          } catch (err) {
+            alert('保存失败: ' + err.message);
+          }
+        });
+      });
+
+      document.querySelectorAll('.lock-ai-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          try {
+            await saveAIContent({ field: btn.dataset.field, repo: btn.dataset.repo || undefined, locked: btn.dataset.locked !== 'true' });
+            location.reload();
+          } catch (err) {
+            alert('设置失败: ' + err.message);
+          }
+        });
+      });
+    }
 
     // 分享弹窗
     document.getElementById('share-btn').addEventListener('click', () => {
@@ -2902,75 +7317,320 @@ function servePortfolioPage(data, request) {
       });
     }
 
-    // 进入编辑模式
-    editBtn.addEventListener('click', () => {
-      if (isEditMode) {
-        // 已经在编辑模式，点击退出
-        exitEditMode();
-      } else {
-        // 进入编辑模式
-        isEditMode = true;
-        container.classList.add('edit-mode');
-        editBtn.textContent = '❌ 取消';
-        editActions.classList.remove('hidden');
-        editHint.classList.remove('hidden');
+    // 编辑模式（仅所有者）
+    if (isOwner) {
+      // 进入编辑模式
+      editBtn.addEventListener('click', () => {
+        if (isEditMode) {
+          // 已经在编辑模式，点击退出
+          exitEditMode();
+        } else {
+          // 进入编辑模式
+          isEditMode = true;
+          container.classList.add('edit-mode');
+          editBtn.textContent = '❌ 取消';
+          editActions.classList.remove('hidden');
+          editHint.classList.remove('hidden');
+          renderBookmarks();
+        }
+      });
+
+      // 退出编辑模式（不保存）
+      function exitEditMode() {
+        isEditMode = false;
+        container.classList.remove('edit-mode');
+        editBtn.textContent = '✏️ 编辑';
+        editActions.classList.add('hidden');
+        editHint.classList.add('hidden');
+        currentBookmarks = JSON.parse(JSON.stringify(originalBookmarks));
         renderBookmarks();
       }
-    });
-
-    // 退出编辑模式（不保存）
-    function exitEditMode() {
-      isEditMode = false;
-      container.classList.remove('edit-mode');
-      editBtn.textContent = '✏️ 编辑';
-      editActions.classList.add('hidden');
-      editHint.classList.add('hidden');
-      currentBookmarks = JSON.parse(JSON.stringify(originalBookmarks));
-      renderBookmarks();
-    }
 
-    document.getElementById('cancel-edit-btn').addEventListener('click', exitEditMode);
+      document.getElementById('cancel-edit-btn').addEventListener('click', exitEditMode);
 
-    // 添加书签按钮
-    document.getElementById('add-bookmark-btn').addEventListener('click', () => {
-      openBookmarkModal('add');
-    });
+      // 添加书签按钮
+      document.getElementById('add-bookmark-btn').addEventListener('click', () => {
+        openBookmarkModal('add');
+      });
 
-    // 保存书签
-    document.getElementById('save-bookmarks-btn').addEventListener('click', async () => {
-      const toast = document.getElementById('refresh-toast');
-      const toastText = document.getElementById('refresh-toast-text');
-      toast.classList.remove('hidden');
-      toastText.textContent = '正在保存...';
+      // 保存书签
+      document.getElementById('save-bookmarks-btn').addEventListener('click', async () => {
+        const toast = document.getElementById('refresh-toast');
+        const toastText = document.getElementById('refresh-toast-text');
+        toast.classList.remove('hidden');
+        toastText.textContent = '正在保存...';
 
-      try {
-        // 更新 order
-        currentBookmarks = currentBookmarks.map((bm, idx) => ({ ...bm, order: idx }));
+        try {
+          // 更新 order
+          currentBookmarks = currentBookmarks.map((bm, idx) => ({ ...bm, order: idx }));
+        
+          const res = await fetch('/api/bookmarks/update', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, bookmarks: currentBookmarks })
+          });
         
-        const res = await fetch('/api/bookmarks/update', {
+          const data = await res.json();
+          if (data.success) {
+            originalBookmarks = JSON.parse(JSON.stringify(currentBookmarks));
+            isEditMode = false;
+            container.classList.remove('edit-mode');
+            editBtn.textContent = '✏️ 编辑';
+            editActions.classList.add('hidden');
+            editHint.classList.add('hidden');
+            toastText.textContent = '保存成功！';
+            setTimeout(() => toast.classList.add('hidden'), 1500);
+          } else {
+            throw new Error(data.error || '保存失败');
+          }
+        } catch (e) {
+          toastText.textContent = '保存失败: ' + e.message;
+          setTimeout(() => toast.classList.add('hidden'), 2000);
+        }
+      });
+
+      // 自定义链接
+      document.getElementById('save-slug').addEventListener('click', async () => {
+        const hint = document.getElementById('slug-hint');
+        const newSlug = document.getElementById('custom-slug').value.trim().toLowerCase();
+        if (!newSlug || newSlug === slug) return;
+
+        try {
+          const res = await fetch('/api/slug', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, slug: newSlug })
+          });
+          const data = await res.json();
+          if (!data.success) throw new Error(data.error || '保存失败');
+          location.href = '/p/' + data.slug;
+        } catch (e) {
+          hint.textContent = e.message;
+        }
+      });
+
+      // 页面设置：探索页公开开关、AI 文案自动更新周期
+      async function saveSettings(settings) {
+        const res = await fetch('/api/settings', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ username, bookmarks: currentBookmarks })
+          body: JSON.stringify({ username, settings })
         });
-        
         const data = await res.json();
-        if (data.success) {
-          originalBookmarks = JSON.parse(JSON.stringify(currentBookmarks));
-          isEditMode = false;
-          container.classList.remove('edit-mode');
-          editBtn.textContent = '✏️ 编辑';
-          editActions.classList.add('hidden');
-          editHint.classList.add('hidden');
-          toastText.textContent = '保存成功！';
-          setTimeout(() => toast.classList.add('hidden'), 1500);
-        } else {
-          throw new Error(data.error || '保存失败');
-        }
-      } catch (e) {
-        toastText.textContent = '保存失败: ' + e.message;
-        setTimeout(() => toast.classList.add('hidden'), 2000);
+        if (!data.success) throw new Error(data.error || '保存失败');
       }
-    });
+
+      document.getElementById('listed-toggle').addEventListener('change', async (e) => {
+        try {
+          await saveSettings({ listedInDirectory: e.target.checked });
+        } catch (err) {
+          e.target.checked = !e.target.checked;
+          alert('设置失败: ' + err.message);
+        }
+      });
+
+      // 各字段的文本模型，下次刷新或重新生成时生效
+      document.querySelectorAll('.model-select').forEach(select => {
+        let saved = select.value;
+        select.addEventListener('change', async () => {
+          try {
+            await saveSettings({ models: { [select.dataset.modelField]: select.value || null } });
+            saved = select.value;
+          } catch (err) {
+            select.value = saved;
+            alert('设置失败: ' + err.message);
+          }
+        });
+      });
+
+      // 内容语言：当前主语言保持在第一位，至少保留一种
+      let savedLanguages = ${JSON.stringify(data.settings.languages)};
+      document.querySelectorAll('.language-toggle').forEach(input => {
+        input.addEventListener('change', async () => {
+          const checked = [...document.querySelectorAll('.language-toggle:checked')].map(el => el.value);
+          const languages = checked.sort((a, b) => (b === savedLanguages[0]) - (a === savedLanguages[0]));
+          try {
+            if (languages.length === 0) throw new Error('至少保留一种语言');
+            await saveSettings({ languages });
+            savedLanguages = languages;
+          } catch (err) {
+            input.checked = !input.checked;
+            alert('设置失败: ' + err.message);
+          }
+        });
+      });
+
+      // 简介风格：预览只生成不保存
+      const readBioStyle = () => Object.fromEntries(
+        [...document.querySelectorAll('.bio-style-select')].map(select => [select.dataset.styleKey, select.value])
+      );
+
+      document.getElementById('preview-bio-style').addEventListener('click', async (e) => {
+        const btn = e.currentTarget;
+        const box = document.getElementById('bio-style-preview');
+        btn.disabled = true;
+        btn.textContent = '⏳ 生成中...';
+        try {
+          const res = await fetch('/api/bio-style/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, bioStyle: readBioStyle(), language: locale })
+          });
+          const data = await res.json();
+          if (data.error) throw new Error(data.error);
+
+          const bio = document.createElement('p');
+          bio.textContent = data.bio;
+          const quote = document.createElement('p');
+          quote.className = 'mt-2 italic text-white/60';
+          quote.textContent = '"' + data.quote.text + '" — ' + data.quote.author;
+          box.replaceChildren(bio, quote);
+          box.classList.remove('hidden');
+        } catch (err) {
+          alert('预览失败: ' + err.message);
+        } finally {
+          btn.disabled = false;
+          btn.textContent = '👀 预览';
+        }
+      });
+
+      document.getElementById('save-bio-style').addEventListener('click', async () => {
+        try {
+          await saveSettings({ bioStyle: readBioStyle() });
+          alert('已保存，下次重新生成简介或语录时生效');
+        } catch (err) {
+          alert('设置失败: ' + err.message);
+        }
+      });
+
+      // 每日语录：收藏、禁用风格、时区；历史列表中的按钮是动态创建的，用事件委托
+      const quoteStyleToggles = [...document.querySelectorAll('.quote-style-toggle')];
+      const saveBannedQuoteStyles = async () => {
+        const bannedQuoteStyles = quoteStyleToggles.filter(input => !input.checked).map(input => input.value);
+        if (bannedQuoteStyles.length === quoteStyleToggles.length) throw new Error('至少保留一种风格');
+        await saveSettings({ bannedQuoteStyles });
+      };
+
+      quoteStyleToggles.forEach(input => {
+        input.addEventListener('change', async () => {
+          try {
+            await saveBannedQuoteStyles();
+          } catch (err) {
+            input.checked = !input.checked;
+            alert('设置失败: ' + err.message);
+          }
+        });
+      });
+
+      document.addEventListener('click', async (e) => {
+        const favoriteBtn = e.target.closest('.favorite-quote-btn');
+        if (favoriteBtn) {
+          const favorite = favoriteBtn.dataset.favorite !== 'true';
+          try {
+            const res = await fetch('/api/quotes/favorite', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ username, date: favoriteBtn.dataset.date, favorite })
+            });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.error || '收藏失败');
+            // 卡片和历史列表中同一天的按钮一起更新
+            document.querySelectorAll('.favorite-quote-btn[data-date="' + favoriteBtn.dataset.date + '"]').forEach(btn => {
+              btn.dataset.favorite = String(favorite);
+              btn.textContent = favorite ? '⭐' : '☆';
+            });
+          } catch (err) {
+            alert('收藏失败: ' + err.message);
+          }
+          return;
+        }
+
+        const banBtn = e.target.closest('.ban-quote-style-btn');
+        if (banBtn) {
+          const toggle = quoteStyleToggles.find(input => input.value === banBtn.dataset.style);
+          if (!toggle.checked || !confirm(banBtn.title + '？')) return;
+          toggle.checked = false;
+          try {
+            await saveBannedQuoteStyles();
+            alert('已禁用，之后的每日语录不再使用该风格');
+          } catch (err) {
+            toggle.checked = true;
+            alert('设置失败: ' + err.message);
+          }
+        }
+      });
+
+      // 新闻反馈：点击只记录偏好，隐藏后换上候选池中的下一条
+      const sendNewsFeedback = async (url, action) => {
+        const res = await fetch('/api/news/feedback', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username, url, action }),
+          keepalive: true
+        });
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || '操作失败');
+        return data;
+      };
+
+      document.querySelectorAll('.news-item').forEach(item => {
+        item.querySelector('a').addEventListener('click', () => {
+          sendNewsFeedback(item.dataset.url, 'click').catch(err => console.error('News feedback error:', err));
+        });
+        item.querySelector('.hide-news-btn').addEventListener('click', async () => {
+          try {
+            await sendNewsFeedback(item.dataset.url, 'hide');
+            item.remove();
+          } catch (err) {
+            alert('隐藏失败: ' + err.message);
+          }
+        });
+      });
+
+      const timezoneInput = document.getElementById('quote-timezone');
+      let savedTimezone = timezoneInput.value;
+      timezoneInput.addEventListener('change', async () => {
+        try {
+          await saveSettings({ timezone: timezoneInput.value.trim() });
+          savedTimezone = timezoneInput.value.trim();
+        } catch (err) {
+          timezoneInput.value = savedTimezone;
+          alert('设置失败: ' + err.message);
+        }
+      });
+
+      const cadenceSelect = document.getElementById('refresh-cadence');
+      let savedCadence = cadenceSelect.value;
+      cadenceSelect.addEventListener('change', async () => {
+        try {
+          await saveSettings({ refreshCadence: cadenceSelect.value });
+          savedCadence = cadenceSelect.value;
+        } catch (err) {
+          cadenceSelect.value = savedCadence;
+          alert('设置失败: ' + err.message);
+        }
+      });
+
+      // 删除页面和全部数据
+      document.getElementById('delete-account-btn').addEventListener('click', async () => {
+        const confirmName = prompt('此操作不可恢复，将删除页面、书签、AI 内容和所有生成的图片。\\n请输入用户名 ' + username + ' 确认：');
+        if (!confirmName) return;
+
+        try {
+          const res = await fetch('/api/account/delete', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, confirm: confirmName })
+          });
+          const data = await res.json();
+          if (!data.success) throw new Error(data.error || '删除失败');
+          alert('页面和数据已全部删除');
+          location.href = '/';
+        } catch (e) {
+          alert('删除失败: ' + e.message);
+        }
+      });
+    }
 
     // ========== 书签弹窗 ==========
     let editingBookmarkId = null;
@@ -3043,7 +7703,7 @@ function servePortfolioPage(data, request) {
 }
 
 // 社交预览页面（针对爬虫优化的轻量级 HTML）
-function serveSocialPreviewPage(data, request) {
+function serveSocialPreviewPage(data, request, locale = data.aiLanguage) {
   const url = new URL(request?.url || 'https://example.com');
   const baseUrl = `${url.protocol}//${url.host}`;
   
@@ -3052,27 +7712,27 @@ function serveSocialPreviewPage(data, request) {
     ? (data.aiCardImageUrl.startsWith('http') ? data.aiCardImageUrl : baseUrl + data.aiCardImageUrl)
     : (data.aiBackgroundUrl 
         ? (data.aiBackgroundUrl.startsWith('http') ? data.aiBackgroundUrl : baseUrl + data.aiBackgroundUrl)
-        : data.github?.avatar_url || '');
+        : data.github.avatar_url);
 
   // og:title - bio 前 60 字或默认标题
-  const displayName = data.github?.name || data.username;
-  const ogTitle = data.aiBio 
+  const displayName = data.github.name;
+  const ogTitle = escapeHtml(data.aiBio 
     ? data.aiBio.substring(0, 60) + (data.aiBio.length > 60 ? '...' : '')
-    : `${displayName} 的 AI 作品集`;
+    : `${displayName} 的 AI 作品集`);
 
   // og:description - 项目亮点总结 + 一句话简介
-  const topProjects = (data.repos || []).filter(r => !r.fork).slice(0, 3);
+  const topProjects = data.repos.filter(r => !r.fork).slice(0, 3);
   const projectHighlights = topProjects.length > 0 
     ? `精选项目：${topProjects.map(r => r.name).join('、')}。` 
     : '';
-  const ogDescription = projectHighlights + (data.aiBio || `${displayName} 的个人作品集`).substring(0, 150);
+  const ogDescription = escapeHtml(projectHighlights + (data.aiBio || `${displayName} 的个人作品集`).substring(0, 150));
 
-  // 构建完整的 canonical URL
-  const canonicalUrl = `${baseUrl}/p/${data.slug}`;
+  // 构建完整的 canonical URL（非主语言带上 ?lang）
+  const canonicalUrl = `${baseUrl}/p/${data.slug}${locale === getAvailableLocales(data)[0] ? '' : `?lang=${locale}`}`;
   
   // 轻量级 HTML，只包含必要的 meta 标签
   const html = `<!DOCTYPE html>
-<html lang="zh-CN" prefix="og: https://ogp.me/ns#">
+<html lang="${CONFIG.CONTENT_LANGUAGES[locale].htmlLang}" prefix="og: https://ogp.me/ns#">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -3093,7 +7753,7 @@ function serveSocialPreviewPage(data, request) {
   <meta property="og:image:height" content="630">
   <meta property="og:image:alt" content="${displayName} 的个人主页预览">
   <meta property="og:site_name" content="MyEdge Portfolio">
-  <meta property="og:locale" content="zh_CN">
+  ${buildLocaleMeta(baseUrl, data, locale)}
   
   <!-- Twitter Card -->
   <meta name="twitter:card" content="summary_large_image">
@@ -3102,7 +7762,7 @@ function serveSocialPreviewPage(data, request) {
   <meta name="twitter:description" content="${ogDescription}">
   <meta name="twitter:image" content="${ogImage}">
   <meta name="twitter:image:alt" content="${displayName} 的个人主页预览">
-  ${data.github?.twitter_username ? `<meta name="twitter:creator" content="@${data.github.twitter_username}">` : ''}
+  ${data.github.twitter_username ? `<meta name="twitter:creator" content="@${data.github.twitter_username}">` : ''}
   <meta name="twitter:site" content="@MyEdgePortfolio">
   
   <!-- LinkedIn -->
@@ -3117,7 +7777,7 @@ function serveSocialPreviewPage(data, request) {
   <meta itemprop="image" content="${ogImage}">
   
   <!-- 技能标签作为关键词 -->
-  <meta name="keywords" content="${(data.skills || []).join(', ')}, ${displayName}, portfolio, developer">
+  <meta name="keywords" content="${data.skills.join(', ')}, ${displayName}, portfolio, developer">
   
   <!-- 禁止缓存（确保爬虫获取最新内容） -->
   <meta http-equiv="Cache-Control" content="no-cache, no-store, must-revalidate">
@@ -3133,15 +7793,15 @@ function serveSocialPreviewPage(data, request) {
     <article>
       <header>
         <h1>${displayName}</h1>
-        <img src="${data.github?.avatar_url || ''}" alt="${displayName}" width="200" height="200">
+        <img src="${data.github.avatar_url}" alt="${displayName}" width="200" height="200">
       </header>
       <section>
-        <p>${data.aiBio || ''}</p>
+        <p>${escapeHtml(data.aiBio)}</p>
       </section>
       <section>
         <h2>技术栈</h2>
         <ul>
-          ${(data.skills || []).map(s => `<li>${s}</li>`).join('')}
+          ${data.skills.map(s => `<li>${s}</li>`).join('')}
         </ul>
       </section>
       <section>
@@ -3173,6 +7833,93 @@ function serveSocialPreviewPage(data, request) {
   });
 }
 
+function serveExplorePage(result, params) {
+  const sort = params.get('sort') === 'updated' ? 'updated' : 'stars';
+  const totalPages = Math.max(1, Math.ceil(result.total / result.limit));
+
+  const pageLink = (page) => {
+    const next = new URLSearchParams(params);
+    next.set('page', page);
+    return `/explore?${next}`;
+  };
+
+  const cardsHtml = result.results.map(entry => `
+    <a href="/p/${entry.slug}" class="glass rounded-2xl p-5 text-white card-hover transition-all duration-300 block">
+      <div class="flex items-center gap-3 mb-3">
+        <img class="w-12 h-12 rounded-full border-2 border-white/30" src="${escapeHtml(entry.avatar)}" alt="">
+        <div class="min-w-0">
+          <h3 class="font-semibold truncate">${escapeHtml(entry.name)}</h3>
+          <p class="text-xs text-white/60">@${escapeHtml(entry.username)} · 📍 ${escapeHtml(entry.city)} · ⭐ ${entry.stars}</p>
+        </div>
+      </div>
+      <p class="text-sm text-white/70 line-clamp-2 mb-3">${escapeHtml(entry.bio)}</p>
+      <div class="flex flex-wrap gap-1">
+        ${entry.skills.map(skill => `<span class="skill-tag px-2 py-1 rounded-full text-xs">${escapeHtml(skill)}</span>`).join('')}
+      </div>
+    </a>
+  `).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>探索 - MyEdge Portfolio</title>
+  <meta name="description" content="浏览公开的 MyEdge 开发者主页，按技能、兴趣和城市搜索">
+  <script src="https://cdn.tailwindcss.com"></script>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    * { font-family: 'Inter', sans-serif; }
+    .gradient-bg { background: linear-gradient(135deg, #667eea 0%, #764ba2 50%, #f093fb 100%); }
+    .glass { background: rgba(255,255,255,0.1); backdrop-filter: blur(20px); border: 1px solid rgba(255,255,255,0.2); }
+    .card-hover:hover { transform: translateY(-4px); box-shadow: 0 20px 40px rgba(0,0,0,0.2); }
+    .skill-tag { background: linear-gradient(135deg, rgba(102,126,234,0.2), rgba(118,75,162,0.2)); border: 1px solid rgba(102,126,234,0.3); }
+  </style>
+</head>
+<body class="min-h-screen gradient-bg p-4">
+  <div class="max-w-6xl mx-auto py-8">
+    <div class="flex items-center justify-between text-white mb-6">
+      <h1 class="text-3xl font-bold">🧭 探索开发者</h1>
+      <a href="/" class="text-sm text-white/70 hover:text-white transition">创建我的页面 →</a>
+    </div>
+
+    <form method="GET" action="/explore" class="glass rounded-2xl p-4 grid md:grid-cols-5 gap-3 text-white mb-6">
+      <input name="q" value="${escapeHtml(params.get('q'))}" placeholder="搜索名字或简介" class="px-3 py-2 bg-white/10 rounded-lg placeholder-white/40 focus:outline-none">
+      <input name="skill" value="${escapeHtml(params.get('skill'))}" placeholder="技能，如 Rust" class="px-3 py-2 bg-white/10 rounded-lg placeholder-white/40 focus:outline-none">
+      <select name="interest" class="px-3 py-2 bg-white/10 rounded-lg focus:outline-none">
+        <option value="" class="text-black">全部兴趣</option>
+        ${['AI', 'Tech', 'Startup', 'Design', 'Finance'].map(i => `<option value="${i}" class="text-black" ${params.get('interest') === i ? 'selected' : ''}>${i}</option>`).join('')}
+      </select>
+      <input name="city" value="${escapeHtml(params.get('city'))}" placeholder="城市" class="px-3 py-2 bg-white/10 rounded-lg placeholder-white/40 focus:outline-none">
+      <div class="flex gap-2">
+        <select name="sort" class="flex-1 px-3 py-2 bg-white/10 rounded-lg focus:outline-none">
+          <option value="stars" class="text-black" ${sort === 'stars' ? 'selected' : ''}>⭐ 最多星标</option>
+          <option value="updated" class="text-black" ${sort === 'updated' ? 'selected' : ''}>🕒 最近更新</option>
+        </select>
+        <button type="submit" class="px-4 py-2 bg-white text-purple-600 font-semibold rounded-lg">搜索</button>
+      </div>
+    </form>
+
+    <p class="text-white/70 text-sm mb-4">共 ${result.total} 个公开主页</p>
+
+    <div class="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+      ${cardsHtml || '<p class="text-white/60 col-span-full text-center py-12">没有找到符合条件的主页</p>'}
+    </div>
+
+    ${totalPages > 1 ? `<div class="flex justify-center items-center gap-4 mt-8 text-white">
+      ${result.page > 1 ? `<a href="${pageLink(result.page - 1)}" class="px-4 py-2 glass rounded-lg hover:bg-white/20">← 上一页</a>` : ''}
+      <span class="text-sm text-white/70">${result.page} / ${totalPages}</span>
+      ${result.page < totalPages ? `<a href="${pageLink(result.page + 1)}" class="px-4 py-2 glass rounded-lg hover:bg-white/20">下一页 →</a>` : ''}
+    </div>` : ''}
+  </div>
+</body>
+</html>`;
+
+  return new Response(html, {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
 function serveNotFoundPage() {
   const html = `<!DOCTYPE html>
 <html lang="zh-CN">
@@ -3204,6 +7951,198 @@ function serveNotFoundPage() {
 
 // ==================== 工具函数 ====================
 
+function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+  const binary = atob(base64);
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// 只接受 http(s) 绝对地址，返回规范化后的地址，其他（javascript: 等）返回 null
+function safeHttpUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// HTML 片段转纯文本：去掉标签、解码常见实体、合并空白
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return html
+    .replace(/<br\s*\/?>|<\/p>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] !== '#') return entities[code.toLowerCase()] ?? entity;
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeHtml(value) {
+  return String(value || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// 某一时刻在指定时区的日期，格式 YYYY-MM-DD
+function localDate(timestamp, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(timestamp);
+}
+
+// 指定时区相对 UTC 的偏移（毫秒）
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(timestamp).map(part => [part.type, part.value])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+// YYYY-MM-DD 加减天数
+function shiftDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// YYYY-MM-DD 所在的 ISO 周，格式 YYYY-Www（周一为一周的第一天，跨年的周归属周四所在的年份）
+function isoWeek(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const thursday = new Date(Date.UTC(year, month - 1, day));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// ISO 周的起止日期（周一至周日）
+function isoWeekRange(week) {
+  const [year, number] = week.split('-W').map(Number);
+  // 1 月 4 日总在第 1 周
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const start = shiftDate(jan4.toISOString().slice(0, 10), 1 - (jan4.getUTCDay() || 7) + (number - 1) * 7);
+  return { start, end: shiftDate(start, 6) };
+}
+
+// 指定时区的下一个零点
+function nextLocalMidnight(timestamp, timeZone) {
+  const [year, month, day] = localDate(timestamp, timeZone).split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, day + 1);
+  // 先按零点附近的偏移估算，再用估算时刻的偏移修正（跨夏令时切换时两者不同）
+  const guess = midnight - timeZoneOffset(midnight, timeZone);
+  return midnight - timeZoneOffset(guess, timeZone);
+}
+
+// 生成不压缩（STORE）的 ZIP 归档，files: [{ name, data: Uint8Array }]
+function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const crc = crc32(file.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);           // UTF-8 文件名
+    local.setUint16(8, 0, true);                // STORE
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, file.data.length, true);
+    central.setUint32(24, file.data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, file.data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + file.data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output;
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function publicTokenInfo(record) {
+  const { hash, ...info } = record;
+  return info;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 function generateSlug(username) {
   const random = Math.random().toString(36).substring(2, 8);
   return `${username.toLowerCase()}-${random}`;